@@ -0,0 +1,580 @@
+/**
+ * Animated image encoders (GIF and animated WebP)
+ *
+ * Both encoders provide the same unified API as the video encoders
+ * (create, addFrame, end, destroy) so they plug into the regular capture
+ * loop. Made for short loops shared in chat tools and documentation:
+ *
+ * - Frame-rate decimation: frames are captured at the recording fps and
+ *   only the ones needed for the (lower) output fps are kept
+ * - Downscaling: frames are resized to a maximum width
+ * - Size cap: frames stop being added once the file reaches the size
+ *   limit (sizeLimitReached is set, the capture loop stops and reports
+ *   the animation as truncated)
+ *
+ * GIF uses a median-cut palette (256 colors per frame) and LZW compression,
+ * written in plain JavaScript (no dependency). Animated WebP reuses the
+ * browser's WebP encoder (canvas.toBlob) for each frame and assembles the
+ * frames into an animated RIFF container.
+ */
+
+export class AnimatedImageEncoder {
+  constructor() {
+    this.sourceCanvas = null;
+    this.sourceCtx = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.parts = []; // Encoded frame data (Blobs, bounded memory)
+    this.frameCount = 0; // Frames received from the capture loop
+    this.outputFrameCount = 0; // Frames kept after decimation
+    this.totalBytes = 0;
+    this.sizeLimitReached = false;
+    this.isFinalized = false;
+    this.logTag = '[Animated Image]';
+  }
+
+  /**
+     * Create and initialize the encoder
+     * @param {Object} options - Configuration object
+     * @param {number} options.width - Captured frame width in pixels
+     * @param {number} options.height - Captured frame height in pixels
+     * @param {number} options.fps - Capture frames per second
+     * @param {number} [options.outputFps] - Output frames per second (decimated from fps)
+     * @param {number} [options.maxWidth] - Maximum output width (frames are downscaled)
+     * @param {number} [options.maxSizeMB] - Size cap in MB (0 = unlimited)
+     * @param {number} [options.loop=0] - Loop count (0 = infinite)
+     * @returns {Promise<AnimatedImageEncoder>} This instance
+     */
+  async create(options) {
+    const { width, height, fps, outputFps = fps, maxWidth = width, maxSizeMB = 0, loop = 0 } = options;
+
+    // Output dimensions (never upscale)
+    const scale = Math.min(1, maxWidth / width);
+    this.outputWidth = Math.max(1, Math.round(width * scale));
+    this.outputHeight = Math.max(1, Math.round(height * scale));
+
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.outputFps = Math.min(outputFps, fps);
+    this.maxBytes = maxSizeMB > 0 ? maxSizeMB * 1024 * 1024 : Infinity;
+    this.loop = loop;
+
+    console.log(`${this.logTag} Initializing with:`, {
+      capture: `${width}x${height} @ ${fps} fps`,
+      output: `${this.outputWidth}x${this.outputHeight} @ ${this.outputFps} fps`,
+      maxSize: maxSizeMB > 0 ? `${maxSizeMB} MB` : 'unlimited',
+      loop: loop === 0 ? 'infinite' : loop
+    });
+
+    // Canvas receiving the captured pixels
+    this.sourceCanvas = document.createElement('canvas');
+    this.sourceCanvas.width = width;
+    this.sourceCanvas.height = height;
+    this.sourceCtx = this.sourceCanvas.getContext('2d', { alpha: false });
+
+    // Canvas at output size (same canvas when no downscaling is needed)
+    if (scale < 1) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = this.outputWidth;
+      this.canvas.height = this.outputHeight;
+      this.ctx = this.canvas.getContext('2d', { alpha: false, willReadFrequently: true });
+      this.ctx.imageSmoothingQuality = 'high';
+    } else {
+      this.canvas = this.sourceCanvas;
+      this.ctx = this.sourceCtx;
+    }
+
+    console.log(`${this.logTag} Initialization complete, ready to receive frames`);
+    return this;
+  }
+
+  /**
+     * Add an RGBA frame (skipped by decimation or once the size cap is reached)
+     * @param {Uint8Array} rgbaBuffer - RGBA pixel data, top-down (width * height * 4 bytes)
+     */
+  async addFrame(rgbaBuffer) {
+    if (this.isFinalized) {
+      throw new Error('Cannot add frames after finalization');
+    }
+
+    if (!this.sourceCanvas || !this.sourceCtx) {
+      throw new Error('Encoder not initialized - call create() first');
+    }
+
+    // Frame-rate decimation: keep a frame each time the output timeline moves to the next frame
+    const outputIndex = Math.floor(this.frameCount * this.outputFps / this.fps);
+    this.frameCount++;
+    if (outputIndex < this.outputFrameCount || this.sizeLimitReached) {
+      return;
+    }
+
+    // Draw pixels, downscaled to output size
+    const imageData = new ImageData(
+      // @ts-ignore - rgbaBuffer.buffer can be SharedArrayBuffer which is compatible
+      new Uint8ClampedArray(rgbaBuffer.buffer || rgbaBuffer, rgbaBuffer.byteOffset || 0, rgbaBuffer.byteLength),
+      this.width,
+      this.height
+    );
+    this.sourceCtx.putImageData(imageData, 0, 0);
+    if (this.canvas !== this.sourceCanvas) {
+      this.ctx.drawImage(this.sourceCanvas, 0, 0, this.outputWidth, this.outputHeight);
+    }
+
+    // Frame duration in ms, rounding errors spread over the frames
+    const index = this.outputFrameCount;
+    const duration = Math.round((index + 1) * 1000 / this.outputFps) - Math.round(index * 1000 / this.outputFps);
+
+    const frameData = await this.encodeFrame(duration);
+
+    // Size cap: drop this frame and all following ones
+    if (this.totalBytes + frameData.size > this.maxBytes) {
+      this.sizeLimitReached = true;
+      console.warn(`${this.logTag} Size limit reached after ${this.outputFrameCount} frames (${(this.totalBytes / 1024 / 1024).toFixed(2)} MB) - remaining frames dropped`);
+      return;
+    }
+
+    this.parts.push(frameData);
+    this.totalBytes += frameData.size;
+    this.outputFrameCount++;
+
+    if (this.outputFrameCount % 30 === 0) {
+      console.log(`${this.logTag} Encoded frame ${this.outputFrameCount}`);
+    }
+  }
+
+  /**
+     * Encode the frame currently drawn on this.canvas
+     * @param {number} _duration - Frame duration in ms
+     * @returns {Promise<Blob>} Encoded frame data
+     */
+  async encodeFrame(_duration) {
+    throw new Error('encodeFrame() must be implemented by subclasses');
+  }
+
+  /**
+     * Assemble the complete file from the encoded frames
+     * @returns {Blob}
+     */
+  buildFile() {
+    throw new Error('buildFile() must be implemented by subclasses');
+  }
+
+  /**
+     * Finalize encoding
+     * @returns {Promise<Blob>} The complete animated image
+     */
+  async end() {
+    if (this.isFinalized) {
+      throw new Error('Encoder already finalized');
+    }
+
+    console.log(`${this.logTag} Finalizing (${this.outputFrameCount} of ${this.frameCount} captured frames kept)`);
+    this.isFinalized = true;
+
+    if (this.outputFrameCount === 0) {
+      throw new Error('No frame encoded (size limit too low?)');
+    }
+
+    const file = this.buildFile();
+    this.parts = [];
+
+    console.log(`${this.logTag} Successfully finalized: ${file.size} bytes`);
+    return file;
+  }
+
+  /**
+     * Cleanup resources
+     */
+  destroy() {
+    console.log(`${this.logTag} Destroying encoder`);
+
+    this.sourceCanvas = null;
+    this.sourceCtx = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.parts = [];
+    this.frameCount = 0;
+    this.outputFrameCount = 0;
+    this.totalBytes = 0;
+    this.sizeLimitReached = false;
+    this.isFinalized = false;
+  }
+}
+
+// ============================================================================
+// GIF
+// ============================================================================
+
+/**
+ * Build a 256-color palette with the median-cut algorithm
+ * Colors are first reduced to 5 bits per channel (32768 bins).
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @returns {{palette: Uint8Array, lookup: Uint8Array}} RGB palette (768 bytes) and 15-bit color → palette index
+ */
+function quantizeMedianCut(pixels) {
+  // Histogram of 15-bit colors
+  const histogram = new Uint32Array(32768);
+  for (let i = 0; i < pixels.length; i += 4) {
+    histogram[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]++;
+  }
+
+  const colors = [];
+  for (let key = 0; key < 32768; key++) {
+    if (histogram[key] > 0) colors.push(key);
+  }
+
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+
+  // Box: list of colors with their channel ranges
+  const makeBox = (boxColors) => {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let count = 0;
+    for (const key of boxColors) {
+      for (let c = 0; c < 3; c++) {
+        const v = channel(key, c);
+        if (v < min[c]) min[c] = v;
+        if (v > max[c]) max[c] = v;
+      }
+      count += histogram[key];
+    }
+    return { colors: boxColors, min, max, count };
+  };
+
+  // Split the box with the largest (pixel count × range) until 256 boxes
+  const boxes = [makeBox(colors)];
+  while (boxes.length < 256) {
+    let best = -1;
+    let bestScore = 0;
+    for (let i = 0; i < boxes.length; i++) {
+      const box = boxes[i];
+      if (box.colors.length < 2) continue;
+      const range = Math.max(box.max[0] - box.min[0], box.max[1] - box.min[1], box.max[2] - box.min[2]);
+      const score = box.count * range;
+      if (score > bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    }
+    if (best === -1) break; // Every box holds a single color
+
+    // Split along the longest channel at the pixel-weighted median
+    const box = boxes[best];
+    const ranges = [0, 1, 2].map(c => box.max[c] - box.min[c]);
+    const c = ranges.indexOf(Math.max(...ranges));
+    box.colors.sort((a, b) => channel(a, c) - channel(b, c));
+
+    let accumulated = 0;
+    let split = 1;
+    for (let i = 0; i < box.colors.length - 1; i++) {
+      accumulated += histogram[box.colors[i]];
+      if (accumulated >= box.count / 2) {
+        split = i + 1;
+        break;
+      }
+    }
+
+    boxes.splice(best, 1, makeBox(box.colors.slice(0, split)), makeBox(box.colors.slice(split)));
+  }
+
+  // Palette entry: pixel-weighted average of each box (back to 8 bits)
+  const palette = new Uint8Array(256 * 3);
+  const lookup = new Uint8Array(32768);
+  boxes.forEach((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const key of box.colors) {
+      const weight = histogram[key];
+      r += channel(key, 0) * weight;
+      g += channel(key, 1) * weight;
+      b += channel(key, 2) * weight;
+      lookup[key] = index;
+    }
+    palette[index * 3] = Math.round((r / box.count) * 255 / 31);
+    palette[index * 3 + 1] = Math.round((g / box.count) * 255 / 31);
+    palette[index * 3 + 2] = Math.round((b / box.count) * 255 / 31);
+  });
+
+  return { palette, lookup };
+}
+
+/**
+ * Compress palette indices with GIF's variable-length LZW
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (8 for a 256-color palette)
+ * @returns {Uint8Array} Image data split in sub-blocks (terminator included)
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  const output = [];
+  let block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const writeByte = (byte) => {
+    block[blockLength++] = byte;
+    if (blockLength === 255) {
+      output.push(255, ...block);
+      block = new Uint8Array(255);
+      blockLength = 0;
+    }
+  };
+
+  let codeSize = minCodeSize + 1;
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      writeByte(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  // Code table: (prefix code << 8 | next index) → code
+  let table = new Map();
+  let nextCode = endCode + 1;
+
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+
+    if (nextCode === 4096) {
+      // Table full: reset
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      // Code size grows when the next code no longer fits (decoder timing)
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+
+    prefix = index;
+  }
+
+  emit(prefix);
+  emit(endCode);
+
+  // Flush remaining bits and last block
+  if (bitCount > 0) writeByte(bitBuffer & 0xff);
+  if (blockLength > 0) output.push(blockLength, ...block.subarray(0, blockLength));
+  output.push(0); // Block terminator
+
+  return new Uint8Array(output);
+}
+
+export class GifEncoder extends AnimatedImageEncoder {
+  constructor() {
+    super();
+    this.logTag = '[GIF Encoder]';
+  }
+
+  /**
+     * Create and initialize the encoder
+     * GIF delays are in 1/100 s and browsers slow down faster frames: fps is capped at 50.
+     * @param {Object} options - See AnimatedImageEncoder.create()
+     * @returns {Promise<GifEncoder>} This instance
+     */
+  async create(options) {
+    await super.create({ ...options, outputFps: Math.min(options.outputFps || 15, 50) });
+    return this;
+  }
+
+  async encodeFrame(duration) {
+    const { data } = this.ctx.getImageData(0, 0, this.outputWidth, this.outputHeight);
+
+    // Palette for this frame (local color table) and pixel → index mapping
+    const { palette, lookup } = quantizeMedianCut(data);
+    const indices = new Uint8Array(this.outputWidth * this.outputHeight);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      indices[p] = lookup[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)];
+    }
+
+    // Graphic control extension (delay) + image descriptor with local 256-color table
+    const delay = Math.max(2, Math.round(duration / 10));
+    const header = new Uint8Array(8 + 10 + 768 + 1);
+    const view = new DataView(header.buffer);
+    header.set([0x21, 0xf9, 0x04, 0x04], 0); // Disposal: do not dispose
+    view.setUint16(4, delay, true);
+    header.set([0x00, 0x00], 6); // No transparency, block terminator
+    header[8] = 0x2c; // Image separator
+    view.setUint16(9, 0, true); // Left
+    view.setUint16(11, 0, true); // Top
+    view.setUint16(13, this.outputWidth, true);
+    view.setUint16(15, this.outputHeight, true);
+    header[17] = 0x87; // Local color table, 2^(7+1) = 256 colors
+    header.set(palette, 18);
+    header[18 + 768] = 8; // LZW minimum code size
+
+    return new Blob([header, lzwEncode(indices, 8)]);
+  }
+
+  buildFile() {
+    // Header + logical screen descriptor (no global color table)
+    const header = new Uint8Array(13 + 19);
+    const view = new DataView(header.buffer);
+    header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61], 0); // GIF89a
+    view.setUint16(6, this.outputWidth, true);
+    view.setUint16(8, this.outputHeight, true);
+    // Packed fields, background color and aspect ratio stay 0
+
+    // NETSCAPE2.0 application extension (loop count)
+    header.set([0x21, 0xff, 0x0b], 13);
+    header.set(Array.from('NETSCAPE2.0', ch => ch.charCodeAt(0)), 16);
+    header.set([0x03, 0x01], 27);
+    view.setUint16(29, this.loop, true);
+    header[31] = 0x00;
+
+    return new Blob([header, ...this.parts, new Uint8Array([0x3b])], { type: 'image/gif' });
+  }
+}
+
+// ============================================================================
+// Animated WebP
+// ============================================================================
+
+/**
+ * Write a RIFF chunk header (FourCC + little-endian size)
+ * @param {string} fourCC - Chunk identifier
+ * @param {number} size - Payload size (without padding)
+ * @returns {Uint8Array}
+ */
+function riffChunkHeader(fourCC, size) {
+  const header = new Uint8Array(8);
+  for (let i = 0; i < 4; i++) header[i] = fourCC.charCodeAt(i);
+  new DataView(header.buffer).setUint32(4, size, true);
+  return header;
+}
+
+/**
+ * Write a 24-bit little-endian value
+ */
+function setUint24(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+  bytes[offset + 2] = (value >> 16) & 0xff;
+}
+
+export class AnimatedWebPEncoder extends AnimatedImageEncoder {
+  constructor() {
+    super();
+    this.logTag = '[WebP Encoder]';
+    this.quality = 0.8;
+    this.hasAlpha = false;
+  }
+
+  /**
+     * Check if the browser can encode WebP images (not supported by Safari)
+     * @returns {boolean}
+     */
+  static isSupported() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+     * Create and initialize the encoder
+     * @param {Object} options - See AnimatedImageEncoder.create()
+     * @param {number} [options.quality=0.8] - WebP quality (0-1)
+     * @returns {Promise<AnimatedWebPEncoder>} This instance
+     */
+  async create(options) {
+    if (!AnimatedWebPEncoder.isSupported()) {
+      throw new Error('WebP encoding not supported in this browser. Use GIF instead.');
+    }
+
+    this.quality = options.quality ?? 0.8;
+    await super.create({ ...options, outputFps: options.outputFps || 20 });
+    return this;
+  }
+
+  async encodeFrame(duration) {
+    // Encode the frame as a still WebP image with the browser encoder
+    const still = await new Promise((resolve, reject) => {
+      this.canvas.toBlob(
+        (result) => result ? resolve(result) : reject(new Error('Failed to encode frame as WebP')),
+        'image/webp',
+        this.quality
+      );
+    });
+    const bytes = new Uint8Array(await still.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    // Keep the image data chunks (ALPH, VP8, VP8L), skip the still image header (VP8X, metadata)
+    const frameChunks = [];
+    let frameDataSize = 0;
+    let offset = 12; // After 'RIFF' size 'WEBP'
+    while (offset + 8 <= bytes.length) {
+      const fourCC = String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+      const size = view.getUint32(offset + 4, true);
+      const chunkLength = 8 + size + (size & 1);
+      if (fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L') {
+        frameChunks.push(bytes.subarray(offset, offset + chunkLength));
+        frameDataSize += chunkLength;
+        if (fourCC !== 'VP8 ') this.hasAlpha = true; // VP8L and ALPH may carry alpha
+      }
+      offset += chunkLength;
+    }
+
+    if (frameChunks.length === 0) {
+      throw new Error('Unexpected WebP data from canvas encoder');
+    }
+
+    // ANMF chunk: frame placement, duration and flags, then the image data
+    const anmf = new Uint8Array(8 + 16);
+    anmf.set(riffChunkHeader('ANMF', 16 + frameDataSize), 0);
+    setUint24(anmf, 8, 0); // X offset / 2
+    setUint24(anmf, 11, 0); // Y offset / 2
+    setUint24(anmf, 14, this.outputWidth - 1);
+    setUint24(anmf, 17, this.outputHeight - 1);
+    setUint24(anmf, 20, duration);
+    anmf[23] = 0x02; // No blending, no disposal
+
+    return new Blob([anmf, ...frameChunks]);
+  }
+
+  buildFile() {
+    // VP8X: extended format with animation (and alpha if any frame has it)
+    const vp8x = new Uint8Array(8 + 10);
+    vp8x.set(riffChunkHeader('VP8X', 10), 0);
+    vp8x[8] = 0x02 | (this.hasAlpha ? 0x10 : 0);
+    setUint24(vp8x, 12, this.outputWidth - 1);
+    setUint24(vp8x, 15, this.outputHeight - 1);
+
+    // ANIM: background color (opaque black) and loop count
+    const anim = new Uint8Array(8 + 6);
+    anim.set(riffChunkHeader('ANIM', 6), 0);
+    anim.set([0x00, 0x00, 0x00, 0xff], 8);
+    new DataView(anim.buffer).setUint16(12, this.loop, true);
+
+    // RIFF header (size of everything after the size field)
+    const payloadSize = 4 + vp8x.byteLength + anim.byteLength + this.totalBytes;
+    const riff = riffChunkHeader('RIFF', payloadSize);
+    const webp = new Uint8Array([0x57, 0x45, 0x42, 0x50]); // 'WEBP'
+
+    return new Blob([riff, webp, vp8x, anim, ...this.parts], { type: 'image/webp' });
+  }
+}
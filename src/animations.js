@@ -9,9 +9,7 @@
 /* global maplibregl */
 
 // Import geometric utility functions from utils.js
-import { calculateBearing, calculateDistance, resamplePath, resamplePathCatmullRom, getOptimalViewForWaypoints } from './utils.js';
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { calculateBearing, calculateDistance, catmullRomPoint, resamplePath, resamplePathCatmullRom, getOptimalViewForWaypoints } from './utils.js';
 
 // ============================================================================
 // Road Following Utilities & Constants
@@ -343,6 +341,15 @@ export class AnimationConstraints {
     };
   }
 
+  /**
+     * Wrap a cameraAt timeline with constraints
+     * @param {Function} cameraAt - (tMs) => {center, zoom, bearing, pitch}
+     * @returns {Function} Wrapped cameraAt function that respects constraints
+     */
+  wrapCameraAt(cameraAt) {
+    return (tMs) => this.applyCameraConstraints(cameraAt(tMs));
+  }
+
   /**
      * Wrap an animation function with constraints
      * @param {Function} animationFn - Original animation function
@@ -380,11 +387,11 @@ export class AnimationConstraints {
 /**
  * Fly to a waypoint with all its parameters
  * @param {Object} map - MapLibre map instance
- * @param {Object} waypoint - Waypoint object {center, zoom, bearing, pitch, duration, name}
+ * @param {Object} waypoint - Waypoint object {center, zoom, bearing, pitch, duration, name, description}
  * @param {number} transitionDuration - Flight duration in milliseconds
- * @param {Object} options - {checkAbort, updateStatus}
+ * @param {Object} options - {checkAbort, updateStatus, sleep (controller sleep, pause-aware), onWaypoint, onWaypointDeparture}
  */
-async function flyToWaypoint(map, waypoint, transitionDuration, { checkAbort, updateStatus } = {}) {
+async function flyToWaypoint(map, waypoint, transitionDuration, { checkAbort, updateStatus, sleep, onWaypoint, onWaypointDeparture } = {}) {
   const wpName = waypoint.name || 'waypoint';
 
   if (updateStatus) {
@@ -420,6 +427,9 @@ async function flyToWaypoint(map, waypoint, transitionDuration, { checkAbort, up
 
   if (checkAbort) checkAbort();
 
+  // Notify arrival (e.g. audio cue at this point of the video)
+  if (onWaypoint) onWaypoint(waypoint);
+
   // Pause at waypoint if duration is specified
   if (waypoint.duration) {
     if (updateStatus) {
@@ -428,6 +438,9 @@ async function flyToWaypoint(map, waypoint, transitionDuration, { checkAbort, up
     await sleep(waypoint.duration);
     if (checkAbort) checkAbort();
   }
+
+  // Notify departure (e.g. close the caption of this stop)
+  if (onWaypointDeparture) onWaypointDeparture(waypoint);
 }
 
 /**
@@ -488,6 +501,134 @@ function interpolateWaypoints(waypoints, steps) {
   return points;
 }
 
+/**
+ * Keyframe Timeline Helper Functions
+ */
+
+/**
+ * Easing functions available to keyframes (t in [0, 1])
+ * The easing of a keyframe applies to the transition from this keyframe to the next one
+ */
+const KEYFRAME_EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  hold: (t) => (t < 1 ? 0 : 1) // Stay on this keyframe, then cut to the next one
+};
+
+/**
+ * Catmull-Rom interpolation of a single value (uses the 2D catmullRomPoint helper)
+ */
+const catmullRomValue = (v0, v1, v2, v3, t, tension) => catmullRomPoint([v0, 0], [v1, 0], [v2, 0], [v3, 0], t, tension)[0];
+
+/**
+ * Parse and normalize a keyframe list
+ * Missing camera values are carried over from the previous keyframe (first keyframe: start camera),
+ * missing times are spread evenly over the duration.
+ * @param {Array|string} keyframes - Keyframes array or JSON string
+ *   [{time, center: [lng, lat], zoom, bearing, pitch, easing}]
+ * @param {number} duration - Total duration in milliseconds (used when times are omitted)
+ * @param {Object} startCamera - {center: [lng, lat], zoom, bearing, pitch} used to fill the first keyframe
+ * @returns {Array} Keyframes sorted by time with all values defined
+ */
+function normalizeKeyframes(keyframes, duration, startCamera) {
+  let list = keyframes;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      throw new Error(`Invalid keyframes JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Keyframes must be a non-empty array');
+  }
+
+  const lastIndex = Math.max(1, list.length - 1);
+  let previous = startCamera;
+
+  const normalized = list.map((keyframe, index) => {
+    if (keyframe.center && !isValidCoordinate(keyframe.center)) {
+      throw new Error(`Keyframe ${index}: invalid center ${JSON.stringify(keyframe.center)}`);
+    }
+    if (keyframe.easing && !KEYFRAME_EASINGS[keyframe.easing]) {
+      throw new Error(`Keyframe ${index}: unknown easing "${keyframe.easing}" (expected: ${Object.keys(KEYFRAME_EASINGS).join(', ')})`);
+    }
+
+    const normalizedKeyframe = {
+      time: typeof keyframe.time === 'number' ? keyframe.time : (duration * index) / lastIndex,
+      center: keyframe.center || previous.center,
+      zoom: keyframe.zoom ?? previous.zoom,
+      bearing: keyframe.bearing ?? previous.bearing,
+      pitch: keyframe.pitch ?? previous.pitch,
+      easing: keyframe.easing || 'easeInOut'
+    };
+    previous = normalizedKeyframe;
+    return normalizedKeyframe;
+  });
+
+  return normalized.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Create a camera timeline from normalized keyframes
+ * Bearings are interpolated as given (e.g. 0 → 360 is a full turn).
+ * @param {Array} keyframes - Normalized keyframes (see normalizeKeyframes)
+ * @param {Object} [options] - {smooth: Catmull-Rom smoothing, tension: 0-1}
+ * @returns {{duration: number, cameraAt: Function}} cameraAt(tMs) returns {center, zoom, bearing, pitch}
+ */
+function createKeyframeTimeline(keyframes, { smooth = false, tension = 0.5 } = {}) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+
+  const toCamera = (keyframe) => ({
+    center: [keyframe.center[0], keyframe.center[1]],
+    zoom: keyframe.zoom,
+    bearing: keyframe.bearing,
+    pitch: keyframe.pitch
+  });
+
+  const cameraAt = (tMs) => {
+    if (tMs <= first.time || keyframes.length === 1) return toCamera(first);
+    if (tMs >= last.time) return toCamera(last);
+
+    // Find the segment containing tMs
+    let i = 0;
+    while (i < keyframes.length - 2 && tMs >= keyframes[i + 1].time) i++;
+
+    const k1 = keyframes[i];
+    const k2 = keyframes[i + 1];
+    const segmentDuration = k2.time - k1.time;
+    const t = segmentDuration > 0 ? KEYFRAME_EASINGS[k1.easing]((tMs - k1.time) / segmentDuration) : 1;
+
+    if (!smooth) {
+      return {
+        center: [
+          k1.center[0] + (k2.center[0] - k1.center[0]) * t,
+          k1.center[1] + (k2.center[1] - k1.center[1]) * t
+        ],
+        zoom: k1.zoom + (k2.zoom - k1.zoom) * t,
+        bearing: k1.bearing + (k2.bearing - k1.bearing) * t,
+        pitch: k1.pitch + (k2.pitch - k1.pitch) * t
+      };
+    }
+
+    // Catmull-Rom: use neighbours (duplicated at the ends) as control points
+    const k0 = keyframes[i - 1] || k1;
+    const k3 = keyframes[i + 2] || k2;
+    return {
+      center: catmullRomPoint(k0.center, k1.center, k2.center, k3.center, t, tension),
+      zoom: catmullRomValue(k0.zoom, k1.zoom, k2.zoom, k3.zoom, t, tension),
+      bearing: catmullRomValue(k0.bearing, k1.bearing, k2.bearing, k3.bearing, t, tension),
+      pitch: Math.max(0, catmullRomValue(k0.pitch, k1.pitch, k2.pitch, k3.pitch, t, tension))
+    };
+  };
+
+  return { duration: last.time, cameraAt };
+}
+
 /**
  * Helper: Incremental 360° rotation that handles bearing normalization
  * MapLibre normalizes bearing to [-180, 180], so we need incremental steps
@@ -1046,7 +1187,12 @@ export class AnimationDirector {
     return {
       setup: null, // No setup needed
       animation: async (map, control) => {
-        const { updateStatus, checkAbort } = control;
+        const { updateStatus, checkAbort, onTransition } = control;
+
+        // Waypoints defined: tour them instead of the feature-based sequence
+        if (options.waypoints?.features?.length > 0) {
+          return PresetAnimations.waypointTour(map, control, options);
+        }
 
         const animations = [];
 
@@ -1074,8 +1220,11 @@ export class AnimationDirector {
         // Execute animations
         const timePerAnimation = duration / animations.length;
 
-        for (const animation of animations) {
-          await animation(control, timePerAnimation);
+        for (let i = 0; i < animations.length; i++) {
+          // New segment (crossfade from the previous one when enabled)
+          if (i > 0 && onTransition) onTransition();
+
+          await animations[i](control, timePerAnimation);
           checkAbort(); // Check between major animation segments
         }
 
@@ -1122,7 +1271,7 @@ export class AnimationDirector {
      */
   _createTerrainShowcase() {
     return async (control, duration) => {
-      const { updateStatus, checkAbort } = control;
+      const { updateStatus, checkAbort, sleep } = control;
       updateStatus('🏔️ Mountain vista...');
 
       // Enable terrain if not already
@@ -1188,7 +1337,7 @@ export class AnimationDirector {
      */
   _createExplorationSequence() {
     return async (control, duration) => {
-      const { updateStatus, checkAbort } = control;
+      const { updateStatus, checkAbort, sleep } = control;
       updateStatus('🔍 Exploring area...');
 
       const bounds = this.map.getBounds();
@@ -1515,7 +1664,7 @@ export const PresetAnimations = {
   /**
      * Simple 360 orbit
      */
-  orbit360: async (map, { updateStatus, checkAbort }, options = {}) => {
+  orbit360: async (map, { updateStatus, checkAbort, sleep }, options = {}) => {
     const duration = options.duration || 10000;
     const waypoints = options.waypoints || null;
 
@@ -1541,7 +1690,7 @@ export const PresetAnimations = {
   /**
      * Zoom pulse
      */
-  zoomPulse: async (map, { updateStatus, checkAbort }, options = {}) => {
+  zoomPulse: async (map, { updateStatus, checkAbort, sleep }, options = {}) => {
     const duration = options.duration || 5000;
     const waypoints = options.waypoints || null;
 
@@ -1581,7 +1730,7 @@ export const PresetAnimations = {
   /**
      * Figure-8 movement
      */
-  figure8: async (map, { updateStatus, checkAbort }, options = {}) => {
+  figure8: async (map, { updateStatus, checkAbort, sleep }, options = {}) => {
     const duration = options.duration || 15000;
     const waypoints = options.waypoints || null;
 
@@ -1832,7 +1981,7 @@ export const PresetAnimations = {
   /**
      * Explore around - Radial exploration pattern
      */
-  exploreAround: async (map, { updateStatus, checkAbort }, options = {}) => {
+  exploreAround: async (map, { updateStatus, checkAbort, sleep }, options = {}) => {
     const duration = options.duration || 20000;
     updateStatus('🧭 Exploring surroundings...');
     const center = map.getCenter();
@@ -2084,7 +2233,7 @@ export const PresetAnimations = {
      * Pendulum - Swinging back and forth with variable pitch
      * Like a pendulum slowing at the extremes
      */
-  pendulum: async (map, { updateStatus, checkAbort }, options = {}) => {
+  pendulum: async (map, { updateStatus, checkAbort, sleep }, options = {}) => {
     const duration = options.duration || 15000;
     updateStatus('⏱️ Pendulum motion...');
 
@@ -2231,7 +2380,7 @@ export const PresetAnimations = {
      * Waypoint Tour - Visit each waypoint sequentially
      * Perfect for guided tours and storytelling
      */
-  waypointTour: async (map, { updateStatus, checkAbort }, options = {}) => {
+  waypointTour: async (map, { updateStatus, checkAbort, sleep, onWaypoint, onWaypointDeparture, onTransition }, options = {}) => {
     const duration = options.duration || 30000;
     const waypoints = options.waypoints || null;
 
@@ -2245,7 +2394,9 @@ export const PresetAnimations = {
           bearing: feature.properties.bearing,
           pitch: feature.properties.pitch,
           duration: feature.properties.duration,
-          name: feature.properties.name
+          name: feature.properties.name,
+          description: feature.properties.description,
+          cue: feature.properties.cue
         }));
       } else if (Array.isArray(waypoints)) {
         waypointArray = waypoints;
@@ -2267,8 +2418,14 @@ export const PresetAnimations = {
     for (let i = 0; i < tour.length; i++) {
       const { waypoint, transitionDuration } = tour[i];
 
+      // Each leg is a segment (crossfade from the previous stop when enabled)
+      if (i > 0 && onTransition) onTransition();
+
       await flyToWaypoint(map, waypoint, transitionDuration, {
         checkAbort,
+        sleep,
+        onWaypoint,
+        onWaypointDeparture,
         updateStatus: (msg) => updateStatus(`📍 ${i + 1}/${tour.length}: ${msg}`)
       });
     }
@@ -2276,12 +2433,39 @@ export const PresetAnimations = {
     updateStatus('✅ Tour complete!');
   },
 
+  /**
+     * Keyframes - Declarative camera timeline
+     * Deterministic: returns a cameraAt(tMs) function applied frame by frame
+     * options.keyframes: [{time, center, zoom, bearing, pitch, easing}] (array or JSON string)
+     * options.keyframeSmoothing: Catmull-Rom smoothing between keyframes
+     * The last keyframe time sets the recording duration (options.duration when times are omitted)
+     * @returns {{cameraAt: Function, duration: number}}
+     */
+  keyframes: (map, options = {}) => {
+    const duration = options.duration || 30000;
+    const startCenter = map.getCenter();
+
+    const keyframes = normalizeKeyframes(options.keyframes, duration, {
+      center: [startCenter.lng, startCenter.lat],
+      zoom: map.getZoom(),
+      bearing: map.getBearing(),
+      pitch: map.getPitch()
+    });
+    const timeline = createKeyframeTimeline(keyframes, { smooth: !!options.keyframeSmoothing });
+
+    console.log(`🎞️ Keyframes timeline: ${keyframes.length} keyframes over ${timeline.duration}ms`);
+
+    // A single keyframe holds the camera for the whole duration
+    return { cameraAt: timeline.cameraAt, duration: timeline.duration || duration };
+  },
+
   /**
      * Terrain Following - Low-altitude flight following terrain contours
      * Maintains constant height above ground while rotating 360°
      * Perfect for mountainous areas with 3D terrain
      */
-  terrainFollowing: async (map, { updateStatus, checkAbort }, options = {}) => {
+  terrainFollowing: async (map, control, options = {}) => {
+    const { updateStatus, checkAbort } = control;
     const duration = options.duration || 20000;
     updateStatus('🚁 Terrain following flight...');
 
@@ -2289,7 +2473,7 @@ export const PresetAnimations = {
     if (!map.getTerrain || !map.getTerrain()) {
       updateStatus('⚠️ No 3D terrain - using standard rotation');
       // Fallback to simple rotation
-      await PresetAnimations.orbit360(map, { updateStatus, checkAbort }, options);
+      await PresetAnimations.orbit360(map, control, options);
       return;
     }
 
@@ -2664,7 +2848,7 @@ export const PresetAnimations = {
      * Used by all vehicle-specific animations (car, plane, helicopter, drone, bird)
      * Segments are loaded dynamically during animation at current zoom level
      */
-  _followPathWithVehicle: async (map, { updateStatus, checkAbort }, options = {}, vehicleProfile) => {
+  _followPathWithVehicle: async (map, { updateStatus, checkAbort, onTelemetry }, options = {}, vehicleProfile) => {
     const duration = options.duration || 20000;
     updateStatus('🛣️ Finding nearest road...');
 
@@ -3122,6 +3306,9 @@ export const PresetAnimations = {
     // @ts-ignore - timeControl API may not exist in older versions
     const startTime = maplibregl.now();
 
+    // Vehicle starts moving (telemetry HUD: speed, distance from here)
+    if (onTelemetry) onTelemetry({ name: vehicleProfile.name, speedKmh: vehicleSpeedKmh });
+
     // Resample initial segment for uniform point spacing (smoother speed)
     // Use Catmull-Rom spline if smoothPath is enabled for natural curves
     let currentSegmentCoords = vehicleProfile.smoothPath
@@ -3681,7 +3868,7 @@ export const PresetAnimations = {
      * No road following, just flies in current direction with subtle changes
      * Perfect for landscape overview, ocean crossing, or zen mode
      */
-  freeFlight: async (map, { updateStatus, checkAbort }, options = {}) => {
+  freeFlight: async (map, { updateStatus, checkAbort, sleep }, options = {}) => {
     const duration = options.duration || 60000;
     const speedKmh = options.speedKmh || 80; // 80 km/h cruise speed
     const pitch = options.pitch || 50;
@@ -3745,6 +3932,7 @@ export const PresetAnimations = {
         essential: true
       });
 
+      // Timer-driven: the controller sleep holds the flight while the recording is paused
       await sleep(stepInterval);
     }
 
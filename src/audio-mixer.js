@@ -0,0 +1,149 @@
+/**
+ * Offline audio mixer for exported videos
+ *
+ * Builds the audio track of a recording once the video duration is known:
+ * - Soundtrack: background audio trimmed (start offset), looped and faded
+ *   in/out to the exact video duration
+ * - Cues: short sounds placed at given times (e.g. waypoint arrivals)
+ *
+ * Everything is rendered with an OfflineAudioContext (faster than real
+ * time, nothing is played), and the resulting AudioBuffer is handed to the
+ * WebCodecs encoders (Mediabunny AudioBufferSource).
+ */
+
+export const AUDIO_SAMPLE_RATE = 48000;
+export const AUDIO_CHANNELS = 2;
+
+// Decoded audio per source (cues are often reused for every waypoint)
+const decodedCache = new Map();
+
+/**
+ * Normalize a soundtrack / cue option to an object
+ * @param {string|Blob|AudioBuffer|Object} value - Source or {src, ...settings}
+ * @returns {Object|null} {src, ...settings}
+ */
+export function normalizeAudioSource(value) {
+  if (!value) return null;
+  if (typeof value === 'string' || value instanceof Blob || value instanceof AudioBuffer) {
+    return { src: value };
+  }
+  if (!value.src) {
+    throw new Error('Audio settings need a src (URL, File/Blob or AudioBuffer)');
+  }
+  return value;
+}
+
+/**
+ * Load and decode an audio source
+ * @param {string|Blob|AudioBuffer} src - URL, File/Blob or already decoded AudioBuffer
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function loadAudioBuffer(src) {
+  if (src instanceof AudioBuffer) return src;
+
+  if (decodedCache.has(src)) return decodedCache.get(src);
+
+  let data;
+  if (src instanceof Blob) {
+    data = await src.arrayBuffer();
+  } else {
+    const response = await fetch(src);
+    if (!response.ok) {
+      throw new Error(`Failed to load audio ${src}: ${response.status} ${response.statusText}`);
+    }
+    data = await response.arrayBuffer();
+  }
+
+  // Decoding only needs a context, the offline one is never started
+  const context = new OfflineAudioContext(AUDIO_CHANNELS, 1, AUDIO_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(data);
+
+  decodedCache.set(src, buffer);
+  return buffer;
+}
+
+/**
+ * Mix the soundtrack and cues into a single buffer
+ * @param {Object} options - Mix settings
+ * @param {number} options.duration - Video duration in ms (exact length of the mix)
+ * @param {number} [options.startTime=0] - Video time of the mix start in ms (segments of a longer video)
+ * @param {Object|null} [options.soundtrack] - {src, volume=1, offset=0, loop=true, fadeIn=0, fadeOut=0} (ms)
+ *   fadeIn is applied at video time 0, fadeOut at the end of this mix
+ * @param {Array<{time: number, src: any, volume?: number}>} [options.cues] - Cues (video time in ms)
+ * @returns {Promise<AudioBuffer>} Stereo buffer at AUDIO_SAMPLE_RATE
+ */
+export async function mixAudio({ duration, startTime = 0, soundtrack = null, cues = [] }) {
+  const durationSeconds = Math.max(duration, 1) / 1000;
+  const startSeconds = startTime / 1000;
+  const length = Math.ceil(durationSeconds * AUDIO_SAMPLE_RATE);
+  const context = new OfflineAudioContext(AUDIO_CHANNELS, length, AUDIO_SAMPLE_RATE);
+
+  console.log(`[Audio] Mixing ${durationSeconds.toFixed(2)}s (soundtrack: ${soundtrack ? 'yes' : 'no'}, cues: ${cues.length})`);
+
+  if (soundtrack) {
+    const {
+      src,
+      volume = 1,
+      offset = 0,
+      loop = true,
+      fadeIn = 0,
+      fadeOut = 0
+    } = soundtrack;
+    const buffer = await loadAudioBuffer(src);
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+    if (loop) {
+      // Loop the part after the start offset
+      source.loopStart = Math.min(offset / 1000, buffer.duration);
+      source.loopEnd = buffer.duration;
+    }
+
+    // Volume envelope with fades (clamped to the video duration)
+    // The fade in may have started in a previous segment
+    const gain = context.createGain();
+    const fadeInSeconds = Math.min(fadeIn / 1000, (startSeconds + durationSeconds) / 2);
+    const fadeOutSeconds = Math.min(fadeOut / 1000, durationSeconds / 2);
+    if (startSeconds < fadeInSeconds) {
+      gain.gain.setValueAtTime(volume * startSeconds / fadeInSeconds, 0);
+      gain.gain.linearRampToValueAtTime(volume, fadeInSeconds - startSeconds);
+    } else {
+      gain.gain.setValueAtTime(volume, 0);
+    }
+    if (fadeOutSeconds > 0) {
+      gain.gain.setValueAtTime(volume, durationSeconds - fadeOutSeconds);
+      gain.gain.linearRampToValueAtTime(0, durationSeconds);
+    }
+
+    // Position in the track at the start of the mix (wrapped into the loop)
+    let position = offset / 1000 + startSeconds;
+    if (loop && position >= buffer.duration && buffer.duration > source.loopStart) {
+      position = source.loopStart + (position - source.loopStart) % (buffer.duration - source.loopStart);
+    }
+
+    source.connect(gain);
+    gain.connect(context.destination);
+    source.start(0, position);
+  }
+
+  for (const cue of cues) {
+    const cueTime = cue.time - startTime;
+    if (cueTime < 0 || cueTime >= duration) continue;
+
+    const buffer = await loadAudioBuffer(cue.src);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+
+    const gain = context.createGain();
+    gain.gain.value = cue.volume ?? 1;
+
+    source.connect(gain);
+    gain.connect(context.destination);
+    source.start(cueTime / 1000);
+  }
+
+  const mixed = await context.startRendering();
+  console.log(`[Audio] Mix complete: ${mixed.duration.toFixed(2)}s, ${mixed.numberOfChannels} channels @ ${mixed.sampleRate} Hz`);
+  return mixed;
+}
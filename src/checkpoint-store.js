@@ -0,0 +1,198 @@
+/**
+ * Recording checkpoints in IndexedDB (crash-resilient recordings)
+ *
+ * While a deterministic recording (cameraAt timeline, WebCodecs encoder)
+ * is in progress, the encoded packets are persisted regularly together
+ * with the recording recipe (options needed to render the same frames),
+ * the number of completed frames and the camera of the last one. After a
+ * crash (tab closed, WebGL context lost...), a new session can rebuild the
+ * video from the stored packets and continue at the next frame instead of
+ * starting over.
+ *
+ * STORES:
+ * - checkpoints: {id, recipe, frameIndex, camera, createdAt, updatedAt}
+ * - packets: {checkpointId, index, data, type, timestamp, duration, decoderConfig?}
+ *
+ * Only the latest recording is kept: creating a checkpoint replaces the
+ * previous one.
+ */
+
+const DB_NAME = 'maplibre-gl-video-export';
+const DB_VERSION = 1;
+const CHECKPOINTS_STORE = 'checkpoints';
+const PACKETS_STORE = 'packets';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to be committed
+ * @param {IDBTransaction} transaction - Transaction in progress
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/**
+ * Key range of all packets of a checkpoint
+ * @param {string} checkpointId - Checkpoint id
+ * @returns {IDBKeyRange}
+ */
+function packetRange(checkpointId) {
+  return IDBKeyRange.bound([checkpointId, 0], [checkpointId, Infinity]);
+}
+
+export class CheckpointStore {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+     * Check if checkpoints can be stored in this browser
+     * @returns {boolean}
+     */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+     * Open (and create if needed) the database
+     * @returns {Promise<CheckpointStore>} This instance
+     */
+  async open() {
+    if (this.db) return this;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CHECKPOINTS_STORE)) {
+        db.createObjectStore(CHECKPOINTS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(PACKETS_STORE)) {
+        db.createObjectStore(PACKETS_STORE, { keyPath: ['checkpointId', 'index'] });
+      }
+    };
+
+    this.db = await requestToPromise(request);
+    return this;
+  }
+
+  /**
+     * Start a new checkpoint (replaces any previous one)
+     * @param {Object} recipe - Serializable recording settings
+     * @returns {Promise<Object>} The new checkpoint
+     */
+  async create(recipe) {
+    await this.open();
+
+    const now = Date.now();
+    const checkpoint = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      recipe,
+      frameIndex: 0,
+      camera: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const transaction = this.db.transaction([CHECKPOINTS_STORE, PACKETS_STORE], 'readwrite');
+    transaction.objectStore(CHECKPOINTS_STORE).clear();
+    transaction.objectStore(PACKETS_STORE).clear();
+    transaction.objectStore(CHECKPOINTS_STORE).put(checkpoint);
+    await transactionDone(transaction);
+
+    console.log(`[Checkpoint] Created ${checkpoint.id}`);
+    return checkpoint;
+  }
+
+  /**
+     * Persist new packets and the progress they represent (single transaction,
+     * so the stored frame index always matches the stored packets)
+     * @param {Object} checkpoint - Checkpoint returned by create() or getLatest()
+     * @param {Array<Object>} packets - Packet records ({index, data, type, timestamp, duration, decoderConfig?})
+     * @param {Object} progress - {frameIndex, camera}
+     */
+  async save(checkpoint, packets, { frameIndex, camera }) {
+    await this.open();
+
+    checkpoint.frameIndex = frameIndex;
+    checkpoint.camera = camera;
+    checkpoint.updatedAt = Date.now();
+
+    const transaction = this.db.transaction([CHECKPOINTS_STORE, PACKETS_STORE], 'readwrite');
+    const packetStore = transaction.objectStore(PACKETS_STORE);
+    for (const packet of packets) {
+      packetStore.put({ ...packet, checkpointId: checkpoint.id });
+    }
+    transaction.objectStore(CHECKPOINTS_STORE).put(checkpoint);
+    await transactionDone(transaction);
+  }
+
+  /**
+     * Get the checkpoint of the last unfinished recording
+     * @returns {Promise<Object|null>} Checkpoint, or null if there is none
+     */
+  async getLatest() {
+    await this.open();
+
+    const transaction = this.db.transaction(CHECKPOINTS_STORE, 'readonly');
+    const checkpoints = await requestToPromise(transaction.objectStore(CHECKPOINTS_STORE).getAll());
+    if (checkpoints.length === 0) return null;
+
+    return checkpoints.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  }
+
+  /**
+     * Load the stored packets of a checkpoint (decode order)
+     * @param {Object} checkpoint - Checkpoint
+     * @returns {Promise<Array<Object>>} Packet records
+     */
+  async loadPackets(checkpoint) {
+    await this.open();
+
+    const transaction = this.db.transaction(PACKETS_STORE, 'readonly');
+    const packets = await requestToPromise(transaction.objectStore(PACKETS_STORE).getAll(packetRange(checkpoint.id)));
+
+    // Packets saved after the last progress update are not part of the checkpoint
+    return packets.filter(packet => packet.index < checkpoint.frameIndex);
+  }
+
+  /**
+     * Delete a checkpoint and its packets
+     * @param {Object} checkpoint - Checkpoint
+     */
+  async delete(checkpoint) {
+    await this.open();
+
+    const transaction = this.db.transaction([CHECKPOINTS_STORE, PACKETS_STORE], 'readwrite');
+    transaction.objectStore(CHECKPOINTS_STORE).delete(checkpoint.id);
+    transaction.objectStore(PACKETS_STORE).delete(packetRange(checkpoint.id));
+    await transactionDone(transaction);
+
+    console.log(`[Checkpoint] Deleted ${checkpoint.id}`);
+  }
+
+  /**
+     * Close the database
+     */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
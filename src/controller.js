@@ -5,18 +5,26 @@
  * Handles cancellation, state management, and position restoration
  */
 
+/* global maplibregl */
+
+// Polling interval of sleep() in milliseconds (pause and cancel are noticed within a step)
+const SLEEP_STEP = 50;
+
 export class AnimationController {
   constructor() {
     this.abortController = null;
     this.isRunning = false;
     this.initialPosition = null;
+    this.isPaused = false;
+    this.resumePromise = null;
+    this.resolveResume = null;
   }
 
   /**
      * Run an animation with cancellation support
      * @param {Object} map - MapLibre GL map instance
      * @param {Function} animation - Animation function to run
-     * @param {Object} options - Options including updateStatus callback
+     * @param {Object} options - Options including updateStatus, onWaypoint (arrival), onWaypointDeparture (end of the stop), onTelemetry (vehicle) and onTransition (new segment) callbacks
      * @returns {Promise<{success?: boolean, cancelled?: boolean}>}
      */
   async run(map, animation, options = {}) {
@@ -43,7 +51,13 @@ export class AnimationController {
           if (signal.aborted) {
             throw new DOMException('Animation aborted', 'AbortError');
           }
-        }
+        },
+        waitIfPaused: () => this.waitIfPaused(),
+        sleep: (ms) => this.sleep(ms),
+        onWaypoint: options.onWaypoint || (() => {}),
+        onWaypointDeparture: options.onWaypointDeparture || (() => {}),
+        onTelemetry: options.onTelemetry || (() => {}),
+        onTransition: options.onTransition || (() => {})
       });
 
       return { success: true };
@@ -85,6 +99,85 @@ export class AnimationController {
     this.cleanup();
   }
 
+  /**
+     * Pause the current animation
+     * Animations driven by map transitions are frozen with the recording time;
+     * animations with their own timers wait in waitIfPaused() until resume()
+     */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+
+    this.isPaused = true;
+    this.resumePromise = new Promise(resolve => {
+      this.resolveResume = resolve;
+    });
+  }
+
+  /**
+     * Resume a paused animation
+     */
+  resume() {
+    if (!this.isPaused) return;
+
+    this.isPaused = false;
+    if (this.resolveResume) {
+      this.resolveResume();
+    }
+    this.resumePromise = null;
+    this.resolveResume = null;
+  }
+
+  /**
+     * Wait until the animation is resumed (resolves immediately if not paused)
+     * Checks for abort afterwards, so a paused animation can still be cancelled
+     */
+  async waitIfPaused() {
+    const signal = this.abortController ? this.abortController.signal : null;
+
+    if (this.isPaused && this.resumePromise) {
+      await this.resumePromise;
+    }
+
+    if (signal && signal.aborted) {
+      throw new DOMException('Animation aborted', 'AbortError');
+    }
+  }
+
+  /**
+     * Wait for a duration of map time, for animations with their own timers
+     * Map time is the virtual time while recording (maplibregl.now()), so the wait
+     * matches the video; time spent paused does not count, and cancelling ends the wait
+     * @param {number} ms - Duration in milliseconds
+     */
+  async sleep(ms) {
+    const signal = this.abortController ? this.abortController.signal : null;
+    const now = () => (typeof maplibregl !== 'undefined' && typeof maplibregl.now === 'function' ? maplibregl.now() : performance.now());
+
+    let remaining = ms;
+    while (remaining > 0) {
+      await this.waitIfPaused();
+
+      const start = now();
+      await new Promise(resolve => setTimeout(resolve, Math.min(remaining, SLEEP_STEP)));
+
+      if (signal && signal.aborted) {
+        throw new DOMException('Animation aborted', 'AbortError');
+      }
+
+      // A step that ends paused is not counted (real time keeps running outside recordings)
+      if (!this.isPaused) {
+        remaining -= now() - start;
+      }
+    }
+  }
+
+  /**
+     * Check if animation is currently paused
+     */
+  get paused() {
+    return this.isPaused;
+  }
+
   /**
      * Check if animation is currently running
      */
@@ -103,6 +196,9 @@ export class AnimationController {
      * Clean up internal state
      */
   cleanup() {
+    // Release any animation waiting in waitIfPaused()
+    this.resume();
+
     this.isRunning = false;
     this.abortController = null;
     this.initialPosition = null;
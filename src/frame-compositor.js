@@ -0,0 +1,207 @@
+/**
+ * Frame compositor - burns 2D overlays into captured frames
+ *
+ * Overlays (captions, logos, HUD...) are drawn with the Canvas 2D API on a
+ * transparent canvas the size of the video, then alpha-blended into the
+ * RGBA pixels read from WebGL, before they are sent to the encoder.
+ *
+ * Each overlay only reports the rectangle it drew, so a frame only reads
+ * back and blends the few pixels that changed instead of the whole frame.
+ *
+ * OVERLAY INTERFACE:
+ * - render(ctx, time, frame) draws the overlay for a video time (ms) and
+ *   returns the drawn rectangle {x, y, width, height}, or null when hidden
+ *   (frame: {width, height})
+ * - isStatic (optional): true when the overlay draws the same thing on every
+ *   frame (e.g. a logo), its pixels are only read back once
+ */
+
+/**
+ * Alpha-blend an RGBA image into a frame ("source-over", frame stays opaque)
+ * @param {Uint8Array} pixels - Frame pixels (width * height * 4)
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {ImageData} image - Overlay pixels (non-premultiplied RGBA)
+ * @param {number} x - Left position of the image in the frame
+ * @param {number} y - Top position of the image in the frame (top-down)
+ * @param {boolean} [bottomUp=false] - Frame rows are stored bottom-up (raw WebGL readPixels)
+ */
+export function blendImage(pixels, width, height, image, x, y, bottomUp = false) {
+  const src = image.data;
+
+  for (let row = 0; row < image.height; row++) {
+    const frameY = y + row;
+    if (frameY < 0 || frameY >= height) continue;
+
+    const dstRow = bottomUp ? height - 1 - frameY : frameY;
+    let srcIndex = row * image.width * 4;
+    let dstIndex = (dstRow * width + x) * 4;
+
+    for (let col = 0; col < image.width; col++, srcIndex += 4, dstIndex += 4) {
+      const alpha = src[srcIndex + 3];
+      if (alpha === 0) continue;
+
+      if (alpha === 255) {
+        pixels[dstIndex] = src[srcIndex];
+        pixels[dstIndex + 1] = src[srcIndex + 1];
+        pixels[dstIndex + 2] = src[srcIndex + 2];
+      } else {
+        const a = alpha / 255;
+        pixels[dstIndex] = src[srcIndex] * a + pixels[dstIndex] * (1 - a);
+        pixels[dstIndex + 1] = src[srcIndex + 1] * a + pixels[dstIndex + 1] * (1 - a);
+        pixels[dstIndex + 2] = src[srcIndex + 2] * a + pixels[dstIndex + 2] * (1 - a);
+      }
+    }
+  }
+}
+
+/**
+ * Fade a frame to black (RGB multiplied by the level, alpha untouched)
+ * @param {Uint8Array} pixels - Frame pixels (modified in place)
+ * @param {number} level - 0 (black) to 1 (unchanged)
+ */
+export function fadeFrame(pixels, level) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels[i] *= level;
+    pixels[i + 1] *= level;
+    pixels[i + 2] *= level;
+  }
+}
+
+/**
+ * Mix a previous frame over the current one (crossfade / dissolve)
+ * Both frames must have the same size and row order.
+ * @param {Uint8Array} pixels - Current frame pixels (modified in place)
+ * @param {Uint8Array} from - Previous frame pixels
+ * @param {number} amount - Weight of the previous frame, 0 to 1
+ */
+export function blendFrames(pixels, from, amount) {
+  const keep = 1 - amount;
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels[i] = pixels[i] * keep + from[i] * amount;
+    pixels[i + 1] = pixels[i + 1] * keep + from[i + 1] * amount;
+    pixels[i + 2] = pixels[i + 2] * keep + from[i + 2] * amount;
+  }
+}
+
+/**
+ * Downscale a supersampled frame by an integer factor (box filter: each
+ * output pixel is the average of a factor × factor block, the exact area
+ * resampling for integer factors)
+ * @param {Uint8Array} src - Large frame pixels (srcWidth * srcHeight * 4)
+ * @param {number} srcWidth - Large frame width
+ * @param {number} srcHeight - Large frame height
+ * @param {Uint8Array} dst - Output pixels (srcWidth / factor * srcHeight / factor * 4)
+ * @param {number} factor - Integer scale factor (2, 3...)
+ */
+export function downscaleFrame(src, srcWidth, srcHeight, dst, factor) {
+  const width = Math.floor(srcWidth / factor);
+  const height = Math.floor(srcHeight / factor);
+  const samples = factor * factor;
+  const half = samples >> 1;
+  const srcRowBytes = srcWidth * 4;
+
+  for (let y = 0; y < height; y++) {
+    const srcRowStart = y * factor * srcRowBytes;
+    let dstIndex = y * width * 4;
+
+    for (let x = 0; x < width; x++, dstIndex += 4) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+
+      for (let sy = 0; sy < factor; sy++) {
+        let srcIndex = srcRowStart + sy * srcRowBytes + x * factor * 4;
+        for (let sx = 0; sx < factor; sx++, srcIndex += 4) {
+          r += src[srcIndex];
+          g += src[srcIndex + 1];
+          b += src[srcIndex + 2];
+          a += src[srcIndex + 3];
+        }
+      }
+
+      dst[dstIndex] = (r + half) / samples;
+      dst[dstIndex + 1] = (g + half) / samples;
+      dst[dstIndex + 2] = (b + half) / samples;
+      dst[dstIndex + 3] = (a + half) / samples;
+    }
+  }
+}
+
+export class FrameCompositor {
+  /**
+     * @param {number} width - Video width
+     * @param {number} height - Video height
+     */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.overlays = [];
+    this.staticImages = new Map(); // overlay → {image, x, y}
+
+    // Transparent drawing surface, read back after each overlay
+    this.canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  /**
+     * Add an overlay (drawn in the order they are added)
+     * @param {Object} overlay - Object with render(ctx, time, frame)
+     * @returns {Object} The overlay
+     */
+  add(overlay) {
+    this.overlays.push(overlay);
+    return overlay;
+  }
+
+  /**
+     * Check if there is something to composite
+     * @returns {boolean}
+     */
+  get isEmpty() {
+    return this.overlays.length === 0;
+  }
+
+  /**
+     * Burn the overlays into a frame
+     * @param {Uint8Array} pixels - Frame pixels (modified in place)
+     * @param {number} time - Video time of the frame in ms
+     * @param {Object} [options]
+     * @param {boolean} [options.bottomUp=false] - Frame rows are stored bottom-up (WASM MP4 path)
+     */
+  apply(pixels, time, { bottomUp = false } = {}) {
+    const frame = { width: this.width, height: this.height };
+
+    for (const overlay of this.overlays) {
+      // Static overlays reuse their first rendering
+      const cached = this.staticImages.get(overlay);
+      if (cached) {
+        blendImage(pixels, this.width, this.height, cached.image, cached.x, cached.y, bottomUp);
+        continue;
+      }
+
+      this.ctx.save();
+      const rect = overlay.render(this.ctx, time, frame);
+      this.ctx.restore();
+      if (!rect) continue;
+
+      // Clamp to the frame (whole pixels)
+      const x = Math.max(0, Math.floor(rect.x));
+      const y = Math.max(0, Math.floor(rect.y));
+      const right = Math.min(this.width, Math.ceil(rect.x + rect.width));
+      const bottom = Math.min(this.height, Math.ceil(rect.y + rect.height));
+      if (right <= x || bottom <= y) continue;
+
+      const image = this.ctx.getImageData(x, y, right - x, bottom - y);
+      blendImage(pixels, this.width, this.height, image, x, y, bottomUp);
+      this.ctx.clearRect(x, y, right - x, bottom - y);
+
+      if (overlay.isStatic) {
+        this.staticImages.set(overlay, { image, x, y });
+      }
+    }
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Image sequence encoder (numbered PNG or JPEG frames in a ZIP archive)
+ *
+ * Provides the same unified API as the video encoders (create, addFrame,
+ * end, destroy) so it plugs into the regular capture loop. Intended for
+ * post-production: every frame is kept as a separate image that editing
+ * tools can import as an image sequence.
+ *
+ * MEMORY:
+ * - Each frame is compressed by the browser (canvas.toBlob) as soon as it
+ *   is captured, and its raw RGBA pixels are released immediately
+ * - Archive chunks are kept as Blobs (the browser may page them to disk),
+ *   so long sequences do not accumulate in the JavaScript heap
+ * - With the stream option, chunks are written to a WritableStream
+ *   instead (e.g. a file picked with the File System Access API); an
+ *   archive destroyed before it is finished aborts the stream
+ */
+
+import { ZipWriter } from './zip-writer.js';
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg'
+};
+
+export class ImageSequenceEncoder {
+  constructor() {
+    this.zip = null;
+    this.chunks = [];
+    this.writer = null; // Stream writer when streaming
+    this.bytesWritten = 0;
+    this.canvas = null;
+    this.ctx = null;
+    this.frameCount = 0;
+    this.imageFormat = 'png';
+    this.quality = 0.92;
+    this.isFinalized = false;
+  }
+
+  /**
+     * Create and initialize the encoder
+     * @param {Object} options - Configuration object
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {number} options.fps - Frames per second (informational)
+     * @param {string} [options.imageFormat='png'] - Image format: 'png' (lossless) or 'jpeg'
+     * @param {number} [options.quality=0.92] - JPEG quality (0-1), ignored for PNG
+     * @param {WritableStream} [options.stream] - Write the archive to this stream instead of memory
+     * @returns {Promise<ImageSequenceEncoder>} This instance
+     */
+  async create(options) {
+    const { width, height, fps, imageFormat = 'png', quality = 0.92, stream = null } = options;
+
+    if (!IMAGE_MIME_TYPES[imageFormat]) {
+      throw new Error(`Unknown image format: ${imageFormat} (expected: 'png' or 'jpeg')`);
+    }
+
+    console.log('[Image Sequence] Initializing with:', {
+      width,
+      height,
+      fps,
+      imageFormat,
+      quality: imageFormat === 'jpeg' ? quality : 'lossless',
+      output: stream ? 'stream' : 'memory'
+    });
+
+    this.imageFormat = imageFormat;
+    this.quality = quality;
+
+    // Canvas used to compress frames with the browser's image encoders
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = this.canvas.getContext('2d', {
+      willReadFrequently: false,
+      alpha: false
+    });
+
+    // ZIP chunks are streamed, or stored as Blobs to keep the heap bounded
+    this.chunks = [];
+    this.bytesWritten = 0;
+    this.writer = stream ? stream.getWriter() : null;
+    this.zip = new ZipWriter(async (chunk) => {
+      this.bytesWritten += chunk.byteLength;
+      if (this.writer) {
+        await this.writer.write(chunk);
+      } else {
+        this.chunks.push(new Blob([chunk]));
+      }
+    });
+
+    console.log('[Image Sequence] Initialization complete, ready to receive frames');
+    return this;
+  }
+
+  /**
+     * Add an RGBA frame to the sequence
+     * @param {Uint8Array} rgbaBuffer - RGBA pixel data, top-down (width * height * 4 bytes)
+     */
+  async addFrame(rgbaBuffer) {
+    if (this.isFinalized) {
+      throw new Error('Cannot add frames after finalization');
+    }
+
+    if (!this.canvas || !this.ctx || !this.zip) {
+      throw new Error('Encoder not initialized - call create() first');
+    }
+
+    this.frameCount++;
+
+    if (this.frameCount % 30 === 0) {
+      console.log(`[Image Sequence] Writing frame ${this.frameCount}`);
+    }
+
+    // Draw pixels to canvas
+    const imageData = new ImageData(
+      // @ts-ignore - rgbaBuffer.buffer can be SharedArrayBuffer which is compatible
+      new Uint8ClampedArray(rgbaBuffer.buffer || rgbaBuffer, rgbaBuffer.byteOffset || 0, rgbaBuffer.byteLength),
+      this.canvas.width,
+      this.canvas.height
+    );
+    this.ctx.putImageData(imageData, 0, 0);
+
+    // Compress with the browser encoder
+    const mimeType = IMAGE_MIME_TYPES[this.imageFormat];
+    const blob = await new Promise((resolve, reject) => {
+      this.canvas.toBlob(
+        (result) => result ? resolve(result) : reject(new Error(`Failed to encode frame ${this.frameCount} as ${mimeType}`)),
+        mimeType,
+        this.quality
+      );
+    });
+
+    // Numbered file name (sorted correctly by editing tools)
+    const extension = this.imageFormat === 'jpeg' ? 'jpg' : 'png';
+    const name = `frame-${String(this.frameCount).padStart(6, '0')}.${extension}`;
+
+    await this.zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+  }
+
+  /**
+     * Finalize the archive
+     * @returns {Promise<Blob|null>} The complete ZIP archive, null when streaming
+     *   (the stream is closed once everything is written)
+     */
+  async end() {
+    if (this.isFinalized) {
+      throw new Error('Encoder already finalized');
+    }
+
+    console.log(`[Image Sequence] Finalizing archive (${this.frameCount} frames)`);
+    this.isFinalized = true;
+
+    await this.zip.finish();
+
+    if (this.writer) {
+      await this.writer.close();
+      this.writer = null;
+      console.log(`[Image Sequence] Successfully finalized streamed archive: ${this.bytesWritten} bytes`);
+      return null;
+    }
+
+    const archive = new Blob(this.chunks, { type: 'application/zip' });
+    this.chunks = [];
+
+    console.log(`[Image Sequence] Successfully finalized archive: ${archive.size} bytes`);
+    return archive;
+  }
+
+  /**
+     * Cleanup resources (aborts the stream of an unfinished archive)
+     */
+  async destroy() {
+    console.log('[Image Sequence] Destroying encoder');
+
+    // Still set: end() did not close the stream (cancelled or failed recording)
+    if (this.writer) {
+      try {
+        await this.writer.abort();
+      } catch (error) {
+        console.warn('[Image Sequence] Could not abort stream:', error);
+      }
+    }
+
+    this.zip = null;
+    this.chunks = [];
+    this.writer = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.frameCount = 0;
+    this.isFinalized = false;
+  }
+}
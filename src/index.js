@@ -5,7 +5,7 @@
  */
 
 // @ts-check - Enable TypeScript checking for this file
-/* global maplibregl, __VERSION__ */
+/* global maplibregl, VideoEncoder, __VERSION__ */
 
 /**
  * @callback AnimationFunction
@@ -24,6 +24,12 @@
  * @returns {{ setup: Function, animation: Function, supportsExploration: boolean }}
  */
 
+/**
+ * @callback CameraAtFunction
+ * @param {number} tMs - Animation time in milliseconds
+ * @returns {{center: number[], zoom: number, bearing: number, pitch: number}} Camera applied with jumpTo
+ */
+
 /**
  * Helper to cast EventTarget to HTMLInputElement
  * @param {EventTarget | null} target
@@ -32,16 +38,43 @@
 /**
  * @typedef {Object} VideoExportOptions
  * @property {Object|null} [resolution] - Video resolution
+ * @property {boolean} [framingGuides] - Show the video frame and safe zones on the map during Test and Explore
  * @property {number} [fps] - Frames per second
  * @property {number} [bitrate] - Video bitrate
+ * @property {string} [cinematicBars] - Cinematic bars aspect ratio ('none', '2.39', '1.85', '2.33')
+ * @property {string} [cinematicBarsMode] - 'bars' (black bars painted in the frame) or 'crop' (video at the aspect ratio)
  * @property {number} [speedMultiplier] - Animation speed multiplier
+ * @property {number} [supersampling] - Render at this multiple of the resolution and downscale each frame (1, 2 or 3)
+ * @property {boolean|string} [tiledRendering] - Render frames larger than the canvas limit in 2×2 tiles ('auto', true or false)
+ * @property {number} [motionBlur] - Sub-frames rendered and averaged per frame (0 or 1 = off)
+ * @property {number} [motionBlurShutter] - Part of the frame interval covered by the sub-frames (0.5 = 180° shutter)
  * @property {boolean} [waitForTiles] - Wait for tiles to load
+ * @property {boolean} [reviewBeforeDownload] - Play and trim recordings in the panel before downloading them
+ * @property {string|Blob|Object|null} [soundtrack] - Background audio (URL, File/Blob, AudioBuffer or {src, volume, offset, loop, fadeIn, fadeOut})
+ * @property {Array<{time: number, src: any, volume?: number}>|null} [audioCues] - Sounds placed at given video times (ms)
+ * @property {string|Blob|Object|null} [waypointCue] - Sound played at each waypoint arrival (waypoint `cue` overrides it)
+ * @property {boolean} [captions] - Burn waypoint name/description captions (lower thirds) into the video during tours
+ * @property {Object} [captionStyle] - Caption appearance ({scale, textColor, backgroundColor, accentColor, fadeDuration, dwell})
+ * @property {boolean} [telemetryHud] - Burn a speed/distance/position/heading/elevation HUD into road-following videos
+ * @property {Object} [telemetryHudStyle] - HUD appearance ({anchor, scale, textColor, labelColor, backgroundColor})
+ * @property {boolean} [attribution] - Burn the map attribution (collected from the style sources) into the video
+ * @property {Object} [attributionStyle] - Attribution appearance ({text, anchor, scale, textColor, backgroundColor})
+ * @property {Object} [transitions] - Fades composited into the frames ({fadeIn, fadeOut, crossfade} in ms of video)
+ * @property {string|Blob|ImageBitmap|Object|null} [watermark] - Logo burned into every frame (image or {src, anchor, margin, scale, opacity})
+ * @property {FileSystemFileHandle|WritableStream|null} [streamTo] - Write the file there while encoding instead of buffering it in memory
+ * @property {number|null} [maxSegmentDuration] - Split the video into parts of this duration (ms of video)
+ * @property {number|null} [maxSegmentSize] - Split the video into parts of about this size (MB)
+ * @property {boolean} [checkpoints] - Save progress to IndexedDB so a crashed recording can be resumed (cameraAt timelines, WebCodecs formats)
+ * @property {boolean} [keepPartialVideo] - Encode the frames captured so far when a recording is cancelled or fails
+ * @property {boolean} [ui] - Build the panel UI (false = headless, use record() / cancel())
  * @property {string} [position] - Control position on map
  * @property {boolean} [collapsed] - Start collapsed
  * @property {string} [compactPosition] - Compact mode position
  * @property {string|Function} [animation] - Animation type or function
  * @property {number} [duration] - Animation duration in ms
  * @property {boolean|string} [loop] - Loop mode
+ * @property {Array|string} [keyframes] - Camera keyframes for the 'keyframes' animation (array or JSON string)
+ * @property {boolean} [keyframeSmoothing] - Catmull-Rom smoothing between keyframes
  * @property {boolean} [explorationLimitEnabled] - Enable exploration duration limit
  * @property {number} [explorationMaxDuration] - Maximum exploration duration in ms
  * @property {any[]|null} [maxBounds] - Geographic bounds
@@ -50,12 +83,14 @@
  * @property {boolean} [strictBounds] - Strict bounds enforcement
  * @property {boolean} [showBoundsOverlay] - Show bounds overlay
  * @property {any} [waypoints] - Animation waypoints (GeoJSON FeatureCollection)
- * @property {string} [format] - Video format (webm/mp4)
+ * @property {string} [format] - Output format ('webm-vp9', 'webm-vp8', 'av1', 'mp4', 'gif', 'webp' or 'image-sequence')
+ * @property {Object} [encoderOptions] - Advanced encoder settings per format ({mp4, vp8, vp9, av1, gif, webp, imageSequence}), overridden by panel inputs
  * @property {string} [encoderPath] - Path to encoder
  * @property {string} [encoderCdn] - CDN URL for encoder
  * @property {Function} [onStart] - Start callback
  * @property {Function} [onProgress] - Progress callback
  * @property {Function} [onComplete] - Complete callback
+ * @property {Function} [onSegment] - Segment callback (blob, {index, fileName, startFrame, frameCount, startTime, duration, last})
  * @property {Function} [onError] - Error callback
  */
 
@@ -63,6 +98,12 @@
 import { AnimationConstraints, AnimationDirector, PresetAnimations } from './animations.js';
 import { AnimationController } from './controller.js';
 import { WebmEncoderWrapper } from './webm-encoder-wrapper.js';
+import { AUDIO_CHANNELS, AUDIO_SAMPLE_RATE, mixAudio, normalizeAudioSource } from './audio-mixer.js';
+import { CheckpointStore } from './checkpoint-store.js';
+import { FrameCompositor, blendFrames, downscaleFrame, fadeFrame } from './frame-compositor.js';
+import { AttributionOverlay, CaptionOverlay, TelemetryOverlay, WatermarkOverlay, loadOverlayImage } from './overlays.js';
+import { MAX_TILES_PER_AXIS, TileRenderer } from './tile-renderer.js';
+import { AnimatedWebPEncoder } from './animated-image-encoder.js';
 
 const asInput = (target) => /** @type {HTMLInputElement | null} */(target);
 
@@ -121,6 +162,52 @@ const getDefaultFormat = () => {
   return 'webm-vp8';
 };
 
+// Detect if the browser can encode AV1 (checked at Full HD, main profile, 8-bit)
+const isAV1Supported = async () => {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoEncoder.isConfigSupported !== 'function') {
+    return false;
+  }
+  try {
+    const { supported } = await VideoEncoder.isConfigSupported({
+      codec: 'av01.0.08M.08',
+      width: 1920,
+      height: 1080,
+      bitrate: 8000000
+    });
+    return supported === true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Output MIME type per format (WebM for the others)
+const FORMAT_MIME_TYPES = {
+  mp4: 'video/mp4',
+  av1: 'video/webm',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  'image-sequence': 'application/zip'
+};
+
+// Downloaded file extension per MIME type
+const MIME_TYPE_EXTENSIONS = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/zip': 'zip'
+};
+
+// Framing guides: part of the frame left visible by the target platform (fractions of each side)
+// Vertical videos get the caption and buttons of Reels, TikTok and Shorts, square and 4:5
+// posts the 3:4 crop of profile grids, other sizes the usual 5% title safe margin
+const SAFE_AREAS = {
+  vertical: { label: 'Reels / TikTok / Shorts UI', top: 0.14, right: 0.12, bottom: 0.2, left: 0.06 },
+  square: { label: 'Profile grid (3:4)', top: 0, right: 0.125, bottom: 0, left: 0.125 },
+  portrait: { label: 'Profile grid (3:4)', top: 0, right: 0.03125, bottom: 0, left: 0.03125 },
+  default: { label: 'Title safe', top: 0.05, right: 0.05, bottom: 0.05, left: 0.05 }
+};
+
 /**
  * Animation profiles with metadata
  * Structure: { key: { label, supportsExploration, group, requires, func } }
@@ -297,6 +384,15 @@ const ANIMATION_PROFILES = {
     /** @type {AnimationFunction} */
     func: (_map, _control, _options) => ({ animation: async (m, callbacks, opts) => PresetAnimations.spiralZoom(m, callbacks, opts) })
   },
+  keyframes: {
+    label: '🎞️ Keyframes Timeline',
+    description: 'Follows an exact camera timeline defined as JSON keyframes (time, center, zoom, bearing, pitch, easing). Ideal for authored shots you want to version and reuse.',
+    supportsExploration: false,
+    group: 'cinematic',
+    requires: [],
+    /** @type {AnimationFunction} */
+    func: (map, _control, options) => PresetAnimations.keyframes(map, options)
+  },
 
   // 🛣️ Road Following (exploration-capable)
   tractorRoadTrip: {
@@ -430,19 +526,30 @@ class VideoExportControl {
   static DEFAULT_SETTINGS = {
     // Video settings
     've-resolution': 'auto',
+    've-framing-guides': true,
     've-cinematic-bars': 'none',
+    've-cinematic-crop': false,
+    've-supersampling': '1',
+    've-motion-blur': '0',
     've-duration': '30',
     've-speed': '1',
     've-fps': 60,
     've-format': 'webm-vp9',
     've-bitrate': 'auto',
     've-wait-tiles': true,
+    've-burn-attribution': false,
+    've-review-toggle': false,
+    've-stream-to-disk': false,
     've-format-advanced-toggle': false,
 
     // Animation
     've-animation': 'smart',
     've-loop': 'false',
+    've-keyframes': '',
+    've-keyframes-smooth': false,
+    've-telemetry-hud': false,
     've-show-labels-toggle': false,
+    've-captions-toggle': false,
     've-icon-size-slider': 1.0,
 
     // Constraints
@@ -464,7 +571,21 @@ class VideoExportControl {
     've-vp9-latency': 'quality',
     've-vp9-bitrate-mode': 'variable',
     've-vp9-keyframe': 120,
-    've-vp9-content-hint': ''
+    've-vp9-content-hint': '',
+    've-av1-quality': 'high',
+    've-av1-latency': 'quality',
+    've-av1-bitrate-mode': 'variable',
+    've-av1-keyframe': 120,
+    've-av1-content-hint': '',
+    've-gif-fps': '15',
+    've-gif-max-width': 640,
+    've-gif-max-size': 10,
+    've-webp-fps': '20',
+    've-webp-max-width': 800,
+    've-webp-quality': 80,
+    've-webp-max-size': 10,
+    've-image-sequence-format': 'png',
+    've-image-sequence-quality': 92
   };
 
   /**
@@ -473,13 +594,50 @@ class VideoExportControl {
   constructor(options = {}) {
     this.options = {
       // Video settings
-      resolution: options.resolution || 'auto', // 'auto', 'fullhd', 'hd', '4k', '8k', or {width, height}
+      resolution: options.resolution || 'auto', // 'auto', 'fullhd', 'hd', '4k', '8k', 'vertical', 'square', 'portrait', or {width, height}
+      framingGuides: options.framingGuides !== undefined ? options.framingGuides : true, // Frame and safe zones on the map during Test/Explore
       fps: options.fps || 60,
       bitrate: options.bitrate !== undefined ? options.bitrate : 'auto', // 'auto' or kbps value
       speedMultiplier: options.speedMultiplier || 1, // Animation speed multiplier (1 = real-time)
       waitForTiles: options.waitForTiles !== undefined ? options.waitForTiles : true, // Wait for tiles to load before each frame
+      cinematicBars: options.cinematicBars || 'none', // 'none', '2.39', '1.85', '2.33'
+      cinematicBarsMode: options.cinematicBarsMode || 'bars', // 'bars' (painted) or 'crop' (video cropped to the aspect ratio)
+      reviewBeforeDownload: options.reviewBeforeDownload || false, // Panel: play/trim the video, then download, discard or re-record
+      supersampling: options.supersampling || 1, // 1 (off), 2 or 3: render larger and downscale (anti-aliasing)
+      tiledRendering: options.tiledRendering !== undefined ? options.tiledRendering : 'auto', // 'auto' (beyond the canvas limit), true (always) or false
+      motionBlur: options.motionBlur || 0, // Sub-frames per frame (e.g. 8), 0 = off
+      motionBlurShutter: options.motionBlurShutter || 0.5, // Shutter open for this part of the frame interval (0-1]
+      keepPartialVideo: options.keepPartialVideo || false, // Encode captured frames on cancel/error instead of dropping them
+      streamTo: options.streamTo || null, // FileSystemFileHandle or WritableStream: write while encoding (no download)
+      maxSegmentDuration: options.maxSegmentDuration || null, // Split into parts of this video duration (ms)
+      maxSegmentSize: options.maxSegmentSize || null, // Split into parts of about this size (MB)
+      checkpoints: options.checkpoints || false, // Resumable recordings (IndexedDB), see resumeRecording()
+
+      // Audio (WebCodecs formats only: VP9, AV1, MP4 with WebCodecs H.264)
+      soundtrack: options.soundtrack || null, // URL, File/Blob, AudioBuffer or {src, volume, offset, loop, fadeIn, fadeOut}
+      audioCues: options.audioCues || null, // [{time (ms), src, volume}]
+      waypointCue: options.waypointCue || null, // Sound played at each waypoint arrival
+
+      // Captions (waypoint name and description burned into the frames)
+      captions: options.captions || false, // Lower thirds at each waypoint (waypointTour and smart tours)
+      captionStyle: options.captionStyle || {}, // {scale, textColor, backgroundColor, accentColor, fadeDuration, dwell}
+
+      // Telemetry HUD (road-following animations: car, tractor, train, boat, helicopter...)
+      telemetryHud: options.telemetryHud || false,
+      telemetryHudStyle: options.telemetryHudStyle || {}, // {anchor, scale, textColor, labelColor, backgroundColor}
+
+      // Transitions (ms of video): fade from/to black, crossfade between segments of smart and waypointTour
+      transitions: { fadeIn: 0, fadeOut: 0, crossfade: 0, ...options.transitions },
+
+      // Map attribution burned into every frame (DOM controls are not captured)
+      attribution: options.attribution || false,
+      attributionStyle: options.attributionStyle || {}, // {text, anchor, scale, textColor, backgroundColor}
+
+      // Watermark (logo burned into every frame)
+      watermark: options.watermark || null, // URL, File/Blob, ImageBitmap or {src, anchor, margin, scale, opacity}
 
       // UI settings
+      ui: options.ui !== false, // false = headless mode (no panel, overlay or progress widget)
       position: options.position || 'top-left',
       collapsed: options.collapsed !== false,
       compactPosition: options.compactPosition || 'top-left', // Position when in compact mode: 'top-left', 'top-right', 'bottom-left', 'bottom-right'
@@ -488,6 +646,8 @@ class VideoExportControl {
       animation: options.animation || 'smart', // 'smart', 'orbit', 'pulse', or function
       duration: options.duration || 30000, // Total animation duration in ms
       loop: options.loop || false, // false, true/'instant', or 'smooth'
+      keyframes: options.keyframes || null, // [{time, center, zoom, bearing, pitch, easing}] for the 'keyframes' animation
+      keyframeSmoothing: options.keyframeSmoothing || false, // Catmull-Rom smoothing between keyframes
 
       // Exploration limits
       explorationLimitEnabled: options.explorationLimitEnabled !== undefined ? options.explorationLimitEnabled : false, // Enable/disable exploration duration limit
@@ -504,7 +664,57 @@ class VideoExportControl {
       waypoints: options.waypoints || null, // Array of waypoint objects [{center: [lng, lat], zoom, duration, bearing, pitch, name, icon}]
 
       // Video format - auto-detects VP9 support and uses it by default for better quality
-      format: options.format || getDefaultFormat(), // 'webm-vp8', 'webm-vp9' (default if supported), or 'mp4'
+      format: options.format || getDefaultFormat(), // 'webm-vp8', 'webm-vp9' (default if supported), 'av1', 'mp4', 'gif', 'webp' or 'image-sequence'
+
+      // Advanced encoder settings (panel inputs take precedence when the UI is shown)
+      encoderOptions: {
+        mp4: {
+          speed: 10, // 0 (best quality) to 10 (fastest)
+          qp: [10, 42], // Quantization parameter range [min, max]
+          gop: 30, // Group of pictures (frames between keyframes)
+          ...options.encoderOptions?.mp4
+        },
+        vp8: {
+          bitrate: null, // Custom VP8 bitrate in kbps (null = auto)
+          ...options.encoderOptions?.vp8
+        },
+        vp9: {
+          quality: 'high', // 'medium', 'high', 'very-high'
+          latencyMode: 'quality', // 'quality' or 'realtime'
+          bitrateMode: 'variable', // 'variable' or 'constant'
+          keyFrameInterval: 120, // Frames between keyframes
+          contentHint: '', // '', 'motion', 'detail', 'text'
+          ...options.encoderOptions?.vp9
+        },
+        av1: {
+          quality: 'high', // 'medium', 'high', 'very-high'
+          latencyMode: 'quality', // 'quality' or 'realtime'
+          bitrateMode: 'variable', // 'variable' or 'constant'
+          keyFrameInterval: 120, // Frames between keyframes
+          contentHint: '', // '', 'motion', 'detail', 'text'
+          ...options.encoderOptions?.av1
+        },
+        gif: {
+          fps: 15, // Output frame rate (decimated from the capture fps, max 50)
+          maxWidth: 640, // Frames are downscaled to this width
+          maxSizeMB: 10, // Size cap: the animation is truncated beyond it (0 = unlimited)
+          loop: 0, // Loop count (0 = infinite)
+          ...options.encoderOptions?.gif
+        },
+        webp: {
+          fps: 20, // Output frame rate (decimated from the capture fps)
+          maxWidth: 800, // Frames are downscaled to this width
+          quality: 0.8, // WebP quality (0-1)
+          maxSizeMB: 10, // Size cap: the animation is truncated beyond it (0 = unlimited)
+          loop: 0, // Loop count (0 = infinite)
+          ...options.encoderOptions?.webp
+        },
+        imageSequence: {
+          imageFormat: 'png', // 'png' (lossless) or 'jpeg'
+          quality: 0.92, // JPEG quality (0-1)
+          ...options.encoderOptions?.imageSequence
+        }
+      },
 
       // Encoder paths - auto-detects plugin location first, then CDN fallback for MP4
       encoderPath: options.encoderPath || null, // Custom path (optional)
@@ -514,6 +724,7 @@ class VideoExportControl {
       onStart: options.onStart || (() => {}),
       onProgress: options.onProgress || (() => {}),
       onComplete: options.onComplete || (() => {}),
+      onSegment: options.onSegment || (() => {}),
       onError: options.onError || ((err) => console.error('Video export error:', err))
     };
 
@@ -522,6 +733,13 @@ class VideoExportControl {
     this._animationController = new AnimationController();
     this._encoder = null;
     this._encoderLoaded = false;
+    this._outputStream = null; // WritableStream of the recording in progress (streamTo)
+    this._checkpointStore = null; // IndexedDB checkpoints (created on first use)
+    this._checkpointEncoding = null; // {onEncodedPacket, resumePackets} for the WebCodecs encoders
+    /** @type {HTMLElement|null} */
+    this._framingGuides = null; // Frame and safe zones overlay (Test/Explore)
+    this._onFramingGuidesResize = null;
+    this._review = null; // Recording waiting for review {blob, url, duration, in, out}
 
     // Waypoint icons from map sprite
     /** @type {any[]} */
@@ -529,6 +747,7 @@ class VideoExportControl {
     /** @type {any[]} */
     this._waypointMarkers = []; // Array of maplibregl.Marker instances (draggable)
     this._isRecording = false; // Flag to prevent marker recreation during recording
+    this._recordingRequested = false; // Set synchronously by record()/Record button, until the recording ends
     this._savedWaypointsVisibility = undefined; // Saved state during recording
     this._waypointsLayerId = 've-waypoints-recording-layer'; // MapLibre layer ID for waypoints
     this._waypointsSourceId = 've-waypoints-recording-source'; // MapLibre source ID for waypoints
@@ -555,6 +774,13 @@ class VideoExportControl {
 
     // Recording time tracking for ETA
     this._recordingStartTime = null;
+
+    // Abort controller of the recording in progress (used by cancel())
+    this._recordingAbortController = null;
+    this._recordingStopRequested = false; // Set by stop() to end the capture early and keep the video
+    this._recordingPaused = false; // Set by pause(): capture loop waits, virtual time stands still
+    this._recordingResumePromise = null;
+    this._recordingResolveResume = null;
   }
 
   onAdd(map) {
@@ -565,7 +791,18 @@ class VideoExportControl {
     this._container = document.createElement('div');
     this._container.className = 'maplibregl-ctrl maplibre-gl-video-export-ctrl';
 
-    this._createUI();
+    if (this.options.ui) {
+      this._createUI();
+
+      // Offer to resume a recording interrupted in a previous session
+      if (this.options.checkpoints) {
+        this._showCheckpointBanner();
+      }
+    } else {
+      // Headless mode: engine only, recordings are driven through record() / cancel()
+      this._container.style.display = 'none';
+      console.log('[VideoExport] Headless mode - panel UI not created');
+    }
     // Encoder loaded on-demand when recording starts
 
     // Load sprite icons and default waypoint icon when map style is ready
@@ -574,8 +811,8 @@ class VideoExportControl {
       this._checkMapCapabilities();
       this._loadSpriteIcons();
       this._addDefaultWaypointIcon();
-      // Create waypoints layer if we have waypoints
-      if (this.options.waypoints && this.options.waypoints.features && this.options.waypoints.features.length > 0) {
+      // Create waypoints layer if we have waypoints (draggable markers are part of the UI)
+      if (this.options.ui && this.options.waypoints && this.options.waypoints.features && this.options.waypoints.features.length > 0) {
         setTimeout(() => {
           this._createWaypointsLayer();
           this._createWaypointMarkers();
@@ -589,8 +826,8 @@ class VideoExportControl {
         this._checkMapCapabilities();
         this._loadSpriteIcons();
         this._addDefaultWaypointIcon();
-        // Create waypoints layer if we have waypoints
-        if (this.options.waypoints && this.options.waypoints.features && this.options.waypoints.features.length > 0) {
+        // Create waypoints layer if we have waypoints (draggable markers are part of the UI)
+        if (this.options.ui && this.options.waypoints && this.options.waypoints.features && this.options.waypoints.features.length > 0) {
           setTimeout(() => {
             this._createWaypointsLayer();
             this._createWaypointMarkers();
@@ -604,6 +841,9 @@ class VideoExportControl {
   }
 
   onRemove() {
+    this._hideFramingGuides();
+    this._closeReview();
+
     // Cleanup encoder if exists
     if (this._encoder) {
       if (this._encoder.destroy) {
@@ -636,6 +876,265 @@ class VideoExportControl {
     this._map = null;
   }
 
+  /**
+     * Record a video programmatically (same pipeline as the Record button)
+     * Current options are used (refreshed from the panel inputs when the UI is shown),
+     * optionally overridden for this recording only.
+     * @param {Object} [overrides={}] - Options to override for this recording
+     * @param {string|Function} [overrides.animation] - Animation type or function
+     * @param {number} [overrides.duration] - Animation duration in ms
+     * @param {string} [overrides.format] - Output format ('webm-vp8', 'webm-vp9', 'av1', 'mp4', 'gif', 'webp', 'image-sequence')
+     * @param {Object|string} [overrides.resolution] - Resolution preset or {width, height}
+     * @param {number} [overrides.fps] - Frames per second
+     * @param {number|string} [overrides.bitrate] - Bitrate in kbps or 'auto'
+     * @param {FileSystemFileHandle|WritableStream} [overrides.streamTo] - Stream this recording to a file or stream
+     * @returns {Promise<{blob: Blob|null, frameCount: number, stats: Object, partial: boolean, truncated: boolean, streamed: boolean, segments: number, error?: Error}>}
+     *   Resolves with the encoded video (partial after stop() or when keepPartialVideo applies),
+     *   rejects with an AbortError if cancelled or with the encoder/animation error.
+     *   When streamed, blob is the written File (FileSystemFileHandle) or null (WritableStream).
+     *   When segmented, every part goes through onSegment and blob is the last part.
+     *   truncated: a GIF/WebP reached maxSizeMB and the capture stopped there.
+     */
+  async record(overrides = {}) {
+    if (!this._map) {
+      throw new Error('VideoExportControl must be added to a map before recording');
+    }
+
+    if (this._isRecording || this._recordingRequested || this._animationController.running) {
+      throw new Error('A recording or animation is already in progress');
+    }
+
+    // Check for time control
+    if (!window.maplibregl || typeof maplibregl.setNow !== 'function') {
+      throw new Error('MapLibre time control (setNow/restoreNow) is required for video export. Please use MapLibre GL JS v5.10.0 or later.');
+    }
+
+    // Claim the map before the first await (the pipeline flags itself later, see _isRecording)
+    this._recordingRequested = true;
+
+    // Read fresh options from UI inputs (no-op without panel)
+    this._readOptionsFromUI();
+
+    // Apply overrides for this recording only, remembering previous values
+    const overridableKeys = ['animation', 'duration', 'format', 'resolution', 'fps', 'bitrate', 'streamTo'];
+    const previousOptions = {};
+    for (const key of overridableKeys) {
+      if (overrides[key] !== undefined) {
+        previousOptions[key] = this.options[key];
+        this.options[key] = overrides[key];
+      }
+    }
+
+    try {
+      console.log('[Recording] 🔴 Starting recording (API)...');
+      return await this._doRecording();
+    } finally {
+      this._recordingRequested = false;
+
+      // Restore options overridden for this recording
+      Object.assign(this.options, previousOptions);
+
+      // Always restore time
+      if (maplibregl.restoreNow) {
+        maplibregl.restoreNow();
+      }
+    }
+  }
+
+  /**
+     * Stop the recording in progress and keep the frames captured so far
+     * The shorter video is encoded and delivered as usual (onComplete, record() promise).
+     */
+  stop() {
+    if (!this._recordingAbortController) return;
+
+    console.log('[Recording] 💾 Stopping recording (keeping captured frames)');
+    this._recordingStopRequested = true;
+    this.resume();
+
+    // End the background animation (the capture loop stops with it)
+    this._animationController.stop();
+  }
+
+  /**
+     * Pause the recording in progress
+     * Virtual time stops advancing and no frame is captured until resume();
+     * the encoder stays open so the video continues seamlessly.
+     */
+  pause() {
+    if (!this._recordingAbortController || this._recordingPaused) return;
+
+    console.log('[Recording] ⏸️ Pausing recording');
+    this._recordingPaused = true;
+    this._recordingResumePromise = new Promise(resolve => {
+      this._recordingResolveResume = resolve;
+    });
+
+    // Suspend timer-driven animations (map transitions are frozen with virtual time)
+    this._animationController.pause();
+
+    this._updateStatus('⏸️ Paused', 'recording');
+    this._updatePauseButton();
+  }
+
+  /**
+     * Resume a paused recording
+     */
+  resume() {
+    if (!this._recordingPaused) return;
+
+    console.log('[Recording] ▶️ Resuming recording');
+    this._recordingPaused = false;
+    if (this._recordingResolveResume) {
+      this._recordingResolveResume();
+    }
+    this._recordingResumePromise = null;
+    this._recordingResolveResume = null;
+
+    this._animationController.resume();
+
+    this._updateStatus('Recording animation...', 'recording');
+    this._updatePauseButton();
+  }
+
+  /**
+     * Check if the recording in progress is paused
+     * @returns {boolean}
+     */
+  get paused() {
+    return this._recordingPaused;
+  }
+
+  /**
+     * Cancel the recording in progress
+     * The pending record() promise rejects with an AbortError, unless keepPartialVideo
+     * is enabled (the frames captured so far are then encoded, like stop()).
+     */
+  cancel() {
+    if (!this._recordingAbortController) return;
+
+    console.log('[Recording] ⏹️ Cancelling recording');
+    this._recordingAbortController.abort();
+    this.resume();
+
+    // Stop the background animation and restore the initial camera
+    this._animationController.cancel(this._map);
+  }
+
+  /**
+     * Get the interrupted recording that can be resumed (checkpoints option)
+     * @returns {Promise<{format: string, frameIndex: number, totalFrames: number, updatedAt: number}|null>}
+     *   Saved progress, or null if there is nothing to resume
+     */
+  async getCheckpoint() {
+    if (!CheckpointStore.isSupported()) return null;
+
+    const checkpoint = await this._getCheckpointStore().getLatest();
+    if (!checkpoint) return null;
+
+    return {
+      format: checkpoint.recipe.options.format,
+      frameIndex: checkpoint.frameIndex,
+      totalFrames: checkpoint.recipe.totalFrames,
+      updatedAt: checkpoint.updatedAt
+    };
+  }
+
+  /**
+     * Resume the interrupted recording from its last checkpoint
+     * The recording settings saved with the checkpoint are restored (custom animation
+     * functions are not stored: the current one is used).
+     * @returns {Promise<{blob: Blob|null, frameCount: number, stats: Object, partial: boolean, truncated: boolean, streamed: boolean, segments: number, error?: Error}>}
+     *   Same result as record()
+     */
+  async resumeRecording() {
+    if (!this._map) {
+      throw new Error('VideoExportControl must be added to a map before recording');
+    }
+
+    if (this._isRecording || this._recordingRequested || this._animationController.running) {
+      throw new Error('A recording or animation is already in progress');
+    }
+
+    // Claim the map before the first await (the pipeline flags itself later, see _isRecording)
+    this._recordingRequested = true;
+    let previousOptions = null;
+    try {
+      const checkpoint = CheckpointStore.isSupported() ? await this._getCheckpointStore().getLatest() : null;
+      if (!checkpoint) {
+        throw new Error('No recording to resume');
+      }
+
+      // Render with the settings and start camera the recording was started with
+      previousOptions = this._applyCheckpointRecipe(checkpoint.recipe);
+
+      console.log(`[Recording] 🔁 Resuming recording (API) at frame ${checkpoint.frameIndex}...`);
+      return await this._doRecording({ resumeCheckpoint: checkpoint });
+    } finally {
+      this._recordingRequested = false;
+
+      // The checkpoint settings only apply to the resumed recording
+      if (previousOptions) {
+        Object.assign(this.options, previousOptions);
+      }
+
+      // Always restore time
+      if (maplibregl.restoreNow) {
+        maplibregl.restoreNow();
+      }
+    }
+  }
+
+  /**
+     * Delete the saved progress of an interrupted recording
+     */
+  async discardCheckpoint() {
+    if (!CheckpointStore.isSupported()) return;
+
+    const store = this._getCheckpointStore();
+    const checkpoint = await store.getLatest();
+    if (checkpoint) {
+      await store.delete(checkpoint);
+    }
+  }
+
+  /**
+     * Get the checkpoint store (opened on first use)
+     * @returns {CheckpointStore}
+     */
+  _getCheckpointStore() {
+    if (!this._checkpointStore) {
+      this._checkpointStore = new CheckpointStore();
+    }
+    return this._checkpointStore;
+  }
+
+  /**
+     * Show the "resume recording" banner if a checkpoint was left by a previous session
+     */
+  async _showCheckpointBanner() {
+    const banner = asHTMLElement(this._panel?.querySelector('#ve-checkpoint-banner'));
+    if (!banner) return;
+
+    let info = null;
+    try {
+      info = await this.getCheckpoint();
+    } catch (error) {
+      console.warn('[Checkpoint] Could not read saved progress:', error);
+    }
+
+    if (!info) {
+      banner.style.display = 'none';
+      return;
+    }
+
+    const text = banner.querySelector('#ve-checkpoint-text');
+    if (text) {
+      text.textContent = `Unfinished recording found: ${info.frameIndex}/${info.totalFrames} frames (${info.format}), saved ${new Date(info.updatedAt).toLocaleString()}.`;
+    }
+    banner.style.display = '';
+  }
+
   /**
      * Check MapLibre GL JS version and warn if timeControl API is not available
      */
@@ -1189,13 +1688,20 @@ class VideoExportControl {
                 }
                 .maplibre-gl-video-export-panel select,
                 .maplibre-gl-video-export-panel input[type="number"],
-                .maplibre-gl-video-export-panel input[type="text"] {
+                .maplibre-gl-video-export-panel input[type="text"],
+                .maplibre-gl-video-export-panel textarea {
                     width: 100%;
                     padding: 5px;
                     border: 1px solid #ddd;
                     border-radius: 3px;
                     font-size: 12px;
                 }
+                .maplibre-gl-video-export-panel textarea {
+                    box-sizing: border-box;
+                    font-family: monospace;
+                    font-size: 11px;
+                    resize: vertical;
+                }
                 .maplibre-gl-video-export-panel input[type="checkbox"] {
                     margin: 0 6px 0 0;
                     padding: 0;
@@ -1365,7 +1871,8 @@ class VideoExportControl {
                         color: #b0b0b0;
                     }
                     .maplibre-gl-video-export-panel select,
-                    .maplibre-gl-video-export-panel input {
+                    .maplibre-gl-video-export-panel input,
+                    .maplibre-gl-video-export-panel textarea {
                         background: #3d3d3d;
                         border: 1px solid #555;
                         color: #e0e0e0;
@@ -1553,6 +2060,39 @@ class VideoExportControl {
                 <a href="#" id="ve-reset-defaults" style="font-size: 11px; color: #666; text-decoration: none; padding: 4px 8px; border: 1px solid #ddd; border-radius: 3px; display: inline-block;">↻ Reset to Defaults</a>
             </div>
 
+            <!-- Interrupted recording (hidden by default, see checkpoints option) -->
+            <div id="ve-checkpoint-banner" style="display: none; background: #e8f4fd; border: 1px solid #4a9eda; color: #1d5a85; padding: 10px; border-radius: 4px; margin-bottom: 15px; font-size: 12px;">
+                <span id="ve-checkpoint-text"></span>
+                <a href="#" id="ve-checkpoint-resume" style="color: #1d5a85; font-weight: bold;">Resume</a> or
+                <a href="#" id="ve-checkpoint-discard" style="color: #1d5a85;">Discard</a>
+            </div>
+
+            <!-- Review of the last recording (hidden by default, see reviewBeforeDownload option) -->
+            <div id="ve-review" style="display: none; background: rgba(0,0,0,0.05); border: 1px solid #ddd; padding: 10px; border-radius: 6px; margin-bottom: 15px; font-size: 12px;">
+                <video id="ve-review-video" playsinline style="display: block; width: 100%; max-height: 240px; background: #000; border-radius: 4px;"></video>
+                <div style="display: flex; align-items: center; gap: 6px; margin-top: 8px;">
+                    <button class="btn-secondary" id="ve-review-play" style="flex: 0 0 auto;">▶️</button>
+                    <input type="range" id="ve-review-scrubber" min="0" max="1000" step="1" value="0" style="flex: 1;">
+                    <span id="ve-review-time" style="color: #555; font-variant-numeric: tabular-nums;">0.0s / 0.0s</span>
+                </div>
+                <div style="display: flex; align-items: center; gap: 6px; margin-top: 6px;">
+                    <button class="btn-secondary" id="ve-review-set-in" style="flex: 0 0 auto;">⇤ Set in</button>
+                    <button class="btn-secondary" id="ve-review-set-out" style="flex: 0 0 auto;">Set out ⇥</button>
+                    <span id="ve-review-trim" style="color: #555;"></span>
+                    <a href="#" id="ve-review-reset-trim" style="color: #666; font-size: 11px;">Reset</a>
+                </div>
+                <label style="display: block; margin-top: 6px;">
+                    <input type="checkbox" id="ve-review-precise">
+                    Precise cut (re-encodes, slower)
+                </label>
+                <small style="color: #999;">Otherwise the video starts at the keyframe before the in point, without quality loss</small>
+                <div class="button-group" style="margin-top: 8px;">
+                    <button class="btn-secondary" id="ve-review-discard">🗑️ Discard</button>
+                    <button class="btn-secondary" id="ve-review-rerecord">🔁 Re-record</button>
+                    <button class="btn-primary" id="ve-review-download">⬇️ Download</button>
+                </div>
+            </div>
+
             <!-- Reset message (hidden by default) -->
             <div id="ve-reset-message" style="display: none; background: #fff3cd; border: 1px solid #ffc107; color: #856404; padding: 10px; border-radius: 4px; margin-bottom: 15px; font-size: 12px;">
                 Settings reset to defaults. <a href="#" id="ve-cancel-reset" style="color: #856404; font-weight: bold;">Cancel</a> or Run to save.
@@ -1583,10 +2123,21 @@ class VideoExportControl {
                       <option value="fullhd">Full HD (1920×1080)</option>
                       <option value="4k">4K (3840×2160)</option>
                       <option value="8k">8K (7680×4320)</option>
+                      <option value="vertical">Vertical 9:16 (1080×1920)</option>
+                      <option value="square">Square 1:1 (1080×1080)</option>
+                      <option value="portrait">Portrait 4:5 (1080×1350)</option>
                       <option value="custom">Custom...</option>
                   </select>
               </div>
 
+              <div class="form-group">
+                  <label>
+                      <input type="checkbox" id="ve-framing-guides" checked>
+                      Show framing guides
+                  </label>
+                  <small style="color: #999;">Outlines the video frame and the platform safe zones on the map during Test and Explore (not recorded)</small>
+              </div>
+
               <div class="form-group">
                   <label for="ve-cinematic-bars"><h4>Cinematic Bars</h4></label>
                   <select id="ve-cinematic-bars">
@@ -1596,6 +2147,32 @@ class VideoExportControl {
                       <option value="2.33">21:9 (Ultrawide)</option>
                   </select>
                   <small style="color: #999;">Add black bars for cinematic aspect ratios</small>
+                  <label style="margin-top: 6px;">
+                      <input type="checkbox" id="ve-cinematic-crop">
+                      Crop the video instead
+                  </label>
+                  <small style="color: #999;">Exports a real 2.39:1 / 1.85:1 video (players add the bars, no bitrate spent on black)</small>
+              </div>
+
+              <div class="form-group">
+                  <label for="ve-supersampling"><h4>Supersampling</h4></label>
+                  <select id="ve-supersampling">
+                      <option value="1" selected>Off</option>
+                      <option value="2">2× (anti-aliasing)</option>
+                      <option value="3">3× (best, slower)</option>
+                  </select>
+                  <small style="color: #999;">Renders larger then downscales each frame, removes shimmering on thin roads and labels</small>
+              </div>
+
+              <div class="form-group">
+                  <label for="ve-motion-blur"><h4>Motion Blur</h4></label>
+                  <select id="ve-motion-blur">
+                      <option value="0" selected>Off</option>
+                      <option value="4">4 sub-frames</option>
+                      <option value="8">8 sub-frames</option>
+                      <option value="16">16 sub-frames</option>
+                  </select>
+                  <small style="color: #999;">Averages several renders per frame to smooth fast moves (capture is N times slower)</small>
               </div>
 
               <div class="form-group" id="ve-resolution-custom-group" style="display:none;">
@@ -1672,7 +2249,11 @@ class VideoExportControl {
                   <select id="ve-format">
                       <option value="webm-vp8">WebM (VP8) - Good Compatibility</option>
                       <option value="webm-vp9" id="ve-format-vp9">WebM (VP9) ⭐ Recommended - Best Quality [Auto-selected if supported]</option>
+                      <option value="av1" id="ve-format-av1" style="display:none;" disabled>WebM (AV1) - Smallest Files</option>
                       <option value="mp4">MP4 (H.264) - Legacy Compatibility</option>
+                      <option value="gif">Animated GIF - Short loops for chat & docs</option>
+                      <option value="webp" id="ve-format-webp">Animated WebP - Short loops, smaller than GIF</option>
+                      <option value="image-sequence">Image Sequence (PNG/JPEG in ZIP) - Post-production</option>
                   </select>
                   <small id="ve-format-info" style="display:block; margin-top: 6px; color: #666; line-height: 1.4;"></small>
               </div>
@@ -1706,6 +2287,10 @@ class VideoExportControl {
               <div id="ve-format-advanced-group" style="display:none; padding: 10px; background: rgba(0,0,0,0.03); border-radius: 4px; margin-top: -5px;">
                   <!-- MP4 Advanced Settings -->
                   <div id="ve-mp4-advanced" style="display:none;">
+                      <div style="padding: 8px; background: rgba(211, 47, 47, 0.1); border-radius: 4px; margin-bottom: 10px;">
+                          <small style="color: #d32f2f;">ℹ️ Native H.264 (WebCodecs) is used when available. Speed and QP only apply to the WASM fallback.</small>
+                      </div>
+
                       <div class="form-group">
                           <label>Encoding Speed</label>
                           <select id="ve-mp4-speed">
@@ -1801,59 +2386,238 @@ class VideoExportControl {
                           <small style="color: #999;">Optimizes encoder for content type</small>
                       </div>
                   </div>
-              </div>
-
-              <div class="form-group">
-                  <label>
-                      <input type="checkbox" id="ve-wait-tiles" checked>
-                      Wait for tiles to load
-                  </label>
-                  <small style="color: #999;">Try to ensures all tiles are loaded (slower but better quality)</small>
-              </div>
 
-              </div> <!-- End ve-video-settings-group -->
+                  <!-- WebM AV1 Settings -->
+                  <div id="ve-webm-av1-advanced" style="display:none;">
+                      <div style="padding: 8px; background: rgba(69, 90, 100, 0.1); border-radius: 4px; margin-bottom: 10px;">
+                          <small style="color: #455a64;">🚀 AV1 - Smallest files at the same quality (WebCodecs)</small>
+                      </div>
 
-            </div>
+                      <div class="form-group">
+                          <label>Quality Preset</label>
+                          <select id="ve-av1-quality">
+                              <option value="medium">Medium (fast, smaller)</option>
+                              <option value="high" selected>High (balanced)</option>
+                              <option value="very-high">Very High (best quality)</option>
+                          </select>
+                          <small style="color: #999;">Higher quality = larger file & slower encoding</small>
+                      </div>
 
-            <!-- Section Separator -->
-            <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+                      <div class="form-group">
+                          <label>Encoding Mode</label>
+                          <select id="ve-av1-latency">
+                              <option value="quality" selected>Quality (slower, better)</option>
+                              <option value="realtime">Realtime (faster, good)</option>
+                          </select>
+                          <small style="color: #999;">Realtime mode useful for long videos</small>
+                      </div>
 
-            <!-- MOVIE Section -->
+                      <div class="form-group">
+                          <label>Bitrate Mode</label>
+                          <select id="ve-av1-bitrate-mode">
+                              <option value="variable" selected>Variable (VBR) - Recommended</option>
+                              <option value="constant">Constant (CBR)</option>
+                          </select>
+                          <small style="color: #999;">VBR gives better quality at same file size</small>
+                      </div>
 
-            <h3 data-section="movie" style="cursor: pointer; user-select: none;">
-              <span class="section-indicator">▼</span> 🎞️ MOVIE
-            </h3>
+                      <div class="form-group">
+                          <label>Keyframe Interval (frames)</label>
+                          <input type="number" id="ve-av1-keyframe" value="120" min="10" max="300" step="10">
+                          <small style="color: #999;">Lower = better seeking, larger file. Default: 120 (2s @ 60fps)</small>
+                      </div>
 
-            <div data-section-content="movie">
+                      <div class="form-group">
+                          <label>Content Optimization</label>
+                          <select id="ve-av1-content-hint">
+                              <option value="" selected>Auto</option>
+                              <option value="motion">Motion (aerial views, animations)</option>
+                              <option value="detail">Detail (fine map details)</option>
+                              <option value="text">Text (overlays, labels)</option>
+                          </select>
+                          <small style="color: #999;">Optimizes encoder for content type</small>
+                      </div>
+                  </div>
 
-              <div id="ve-movie-group" style="padding: 15px; background: rgba(0,0,0,0.05); border: 1px solid #ddd; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.05);">
+                  <!-- Animated GIF Settings -->
+                  <div id="ve-gif-advanced" style="display:none;">
+                      <div style="padding: 8px; background: rgba(245, 124, 0, 0.1); border-radius: 4px; margin-bottom: 10px;">
+                          <small style="color: #f57c00;">🎞️ 256 colors per frame - keep loops short and small</small>
+                      </div>
 
-                  <!-- Section Header -->
-                  <div style="margin-bottom: 12px; padding-bottom: 8px; border-bottom: 1px solid rgba(0,0,0,0.1);">
-                      <span style="font-size: 11px; font-weight: 600; color: #555; text-transform: uppercase; letter-spacing: 0.5px;">
-                        Configuration
-                      </span>
-                  </div>
+                      <div class="form-group">
+                          <label>Frame Rate</label>
+                          <select id="ve-gif-fps">
+                              <option value="10">10 fps (smallest)</option>
+                              <option value="15" selected>15 fps (balanced)</option>
+                              <option value="25">25 fps (smooth)</option>
+                          </select>
+                          <small style="color: #999;">Frames are dropped from the recording fps</small>
+                      </div>
 
-              <div class="form-group">
-                  <label for="ve-animation"><h4>Animation</h4></label>
-                  <select id="ve-animation">
-                      ${this._generateAnimationOptions()}
-                  </select>
-                  <small style="color: #999; display: block; margin-top: 3px;">
-                      💡 Tip: Most animations adapt to show all waypoints when present (happily or not)
-                  </small>
+                      <div class="form-group">
+                          <label>Max Width (px)</label>
+                          <input type="number" id="ve-gif-max-width" value="640" min="100" step="10">
+                          <small style="color: #999;">Frames are downscaled to this width</small>
+                      </div>
 
-                  <!-- Animation Description -->
-                  <div id="ve-animation-description" style="display: none; margin-top: 8px; padding: 10px; background: rgba(33, 150, 243, 0.08); border-left: 3px solid #2196F3; border-radius: 4px;">
-                      <span style="color: #1976D2; font-size: 13px; line-height: 1.5;"></span>
+                      <div class="form-group">
+                          <label>Max Size (MB)</label>
+                          <input type="number" id="ve-gif-max-size" value="10" min="0" step="1">
+                          <small style="color: #999;">The loop is cut when reached (0 = no limit)</small>
+                      </div>
                   </div>
 
-                  <!-- Capability Feedback UI -->
-                  <div id="ve-capability-feedback" style="display: none; margin-top: 8px;">
-                      <!-- Dynamically filled with capability analysis -->
-                  </div>
-              </div>
+                  <!-- Animated WebP Settings -->
+                  <div id="ve-webp-advanced" style="display:none;">
+                      <div style="padding: 8px; background: rgba(0, 137, 123, 0.1); border-radius: 4px; margin-bottom: 10px;">
+                          <small style="color: #00897b;">🎞️ Full color, much smaller than GIF</small>
+                      </div>
+
+                      <div class="form-group">
+                          <label>Frame Rate</label>
+                          <select id="ve-webp-fps">
+                              <option value="15">15 fps (smallest)</option>
+                              <option value="20" selected>20 fps (balanced)</option>
+                              <option value="30">30 fps (smooth)</option>
+                          </select>
+                          <small style="color: #999;">Frames are dropped from the recording fps</small>
+                      </div>
+
+                      <div class="form-group">
+                          <label>Max Width (px)</label>
+                          <input type="number" id="ve-webp-max-width" value="800" min="100" step="10">
+                          <small style="color: #999;">Frames are downscaled to this width</small>
+                      </div>
+
+                      <div class="form-group">
+                          <label>Quality (%)</label>
+                          <input type="number" id="ve-webp-quality" value="80" min="10" max="100" step="5">
+                          <small style="color: #999;">Lower = smaller file</small>
+                      </div>
+
+                      <div class="form-group">
+                          <label>Max Size (MB)</label>
+                          <input type="number" id="ve-webp-max-size" value="10" min="0" step="1">
+                          <small style="color: #999;">The loop is cut when reached (0 = no limit)</small>
+                      </div>
+                  </div>
+
+                  <!-- Image Sequence Settings -->
+                  <div id="ve-image-sequence-advanced" style="display:none;">
+                      <div style="padding: 8px; background: rgba(123, 31, 162, 0.1); border-radius: 4px; margin-bottom: 10px;">
+                          <small style="color: #7b1fa2;">🎞️ One image per frame, numbered for editing tools</small>
+                      </div>
+
+                      <div class="form-group">
+                          <label>Image Format</label>
+                          <select id="ve-image-sequence-format">
+                              <option value="png" selected>PNG (lossless)</option>
+                              <option value="jpeg">JPEG (smaller)</option>
+                          </select>
+                          <small style="color: #999;">PNG keeps every pixel, JPEG is much smaller</small>
+                      </div>
+
+                      <div class="form-group">
+                          <label>JPEG Quality (%)</label>
+                          <input type="number" id="ve-image-sequence-quality" value="92" min="10" max="100" step="1">
+                          <small style="color: #999;">Ignored for PNG</small>
+                      </div>
+                  </div>
+              </div>
+
+              <div class="form-group">
+                  <label>
+                      <input type="checkbox" id="ve-wait-tiles" checked>
+                      Wait for tiles to load
+                  </label>
+                  <small style="color: #999;">Try to ensures all tiles are loaded (slower but better quality)</small>
+              </div>
+
+              <div class="form-group">
+                  <label>
+                      <input type="checkbox" id="ve-burn-attribution">
+                      Burn map attribution
+                  </label>
+                  <small style="color: #999;">Writes the data providers credits (e.g. © OpenStreetMap contributors) in a corner of the video</small>
+              </div>
+
+              <div class="form-group">
+                  <label>
+                      <input type="checkbox" id="ve-review-toggle">
+                      Review before download
+                  </label>
+                  <small style="color: #999;">Play the video in the panel, trim it, then download, discard or record it again</small>
+              </div>
+
+              <div class="form-group" id="ve-stream-to-disk-group" style="display: none;">
+                  <label>
+                      <input type="checkbox" id="ve-stream-to-disk">
+                      Save directly to disk
+                  </label>
+                  <small style="color: #999;">Choose the file before recording, it is written while encoding (long 4K/8K renders are no longer limited by memory)</small>
+              </div>
+
+              </div> <!-- End ve-video-settings-group -->
+
+            </div>
+
+            <!-- Section Separator -->
+            <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+
+            <!-- MOVIE Section -->
+
+            <h3 data-section="movie" style="cursor: pointer; user-select: none;">
+              <span class="section-indicator">▼</span> 🎞️ MOVIE
+            </h3>
+
+            <div data-section-content="movie">
+
+              <div id="ve-movie-group" style="padding: 15px; background: rgba(0,0,0,0.05); border: 1px solid #ddd; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.05);">
+
+                  <!-- Section Header -->
+                  <div style="margin-bottom: 12px; padding-bottom: 8px; border-bottom: 1px solid rgba(0,0,0,0.1);">
+                      <span style="font-size: 11px; font-weight: 600; color: #555; text-transform: uppercase; letter-spacing: 0.5px;">
+                        Configuration
+                      </span>
+                  </div>
+
+              <div class="form-group">
+                  <label for="ve-animation"><h4>Animation</h4></label>
+                  <select id="ve-animation">
+                      ${this._generateAnimationOptions()}
+                  </select>
+                  <small style="color: #999; display: block; margin-top: 3px;">
+                      💡 Tip: Most animations adapt to show all waypoints when present (happily or not)
+                  </small>
+
+                  <!-- Animation Description -->
+                  <div id="ve-animation-description" style="display: none; margin-top: 8px; padding: 10px; background: rgba(33, 150, 243, 0.08); border-left: 3px solid #2196F3; border-radius: 4px;">
+                      <span style="color: #1976D2; font-size: 13px; line-height: 1.5;"></span>
+                  </div>
+
+                  <!-- Capability Feedback UI -->
+                  <div id="ve-capability-feedback" style="display: none; margin-top: 8px;">
+                      <!-- Dynamically filled with capability analysis -->
+                  </div>
+              </div>
+
+              <!-- Keyframes timeline (Keyframes animation only) -->
+              <div class="form-group" id="ve-keyframes-group" style="display: none;">
+                  <label for="ve-keyframes"><h4>Keyframes</h4></label>
+                  <textarea id="ve-keyframes" rows="6" spellcheck="false" placeholder='[{"time": 0, "center": [2.35, 48.85], "zoom": 12, "bearing": 0, "pitch": 0, "easing": "easeInOut"}]'></textarea>
+                  <button type="button" id="ve-keyframe-add" class="btn-secondary btn-compact" style="width: 100%; margin: 5px 0;">
+                      📷 Add current view
+                  </button>
+                  <label><input type="checkbox" id="ve-keyframes-smooth"> Smooth path (Catmull-Rom)</label>
+                  <small style="color: #999;">Time in ms (spread over the duration if omitted). Easing: linear, easeIn, easeOut, easeInOut, hold</small>
+              </div>
+
+              <!-- Telemetry HUD (road-following animations only) -->
+              <div class="form-group" id="ve-telemetry-hud-group" style="display: none;">
+                  <label><input type="checkbox" id="ve-telemetry-hud"> Telemetry HUD</label>
+                  <small style="color: #999;">Burns speed, distance, coordinates, heading and terrain elevation into the video</small>
+              </div>
 
               <div class="form-group">
                   <label for="ve-loop"><h4>Loop Animation</h4></label>
@@ -1913,7 +2677,16 @@ class VideoExportControl {
                           Display text labels on waypoints (requires fonts)
                       </small>
 
-                      <!-- Font Selection (visible only if labels enabled) -->
+                      <!-- Waypoint Captions Toggle -->
+                      <label style="display: flex; align-items: center; gap: 5px; font-size: 11px; cursor: pointer; color: #555; margin-top: 8px;">
+                          <input type="checkbox" id="ve-captions-toggle" style="margin: 0;">
+                          <span style="color: #555; font-weight: 500;">Burn Captions in Video</span>
+                      </label>
+                      <small style="color: #666; display: block; margin-top: 3px;">
+                          Name and description as lower thirds when the tour reaches each waypoint
+                      </small>
+
+                      <!-- Font Selection (visible if labels or captions enabled) -->
                       <div id="ve-font-select-container" style="display: none; margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(0,0,0,0.1);">
                           <label style="font-size: 10px; color: #666; display: block; margin-bottom: 4px;">
                               Font Family:
@@ -2050,6 +2823,8 @@ class VideoExportControl {
             <div class="button-group">
                 <button class="btn-secondary" id="ve-test">▶️ Test</button>
                 <button class="btn-secondary" id="ve-explore" style="display: none;">🗺️ Explore</button>
+                <button class="btn-secondary" id="ve-pause" style="display: none;">⏸️ Pause</button>
+                <button class="btn-secondary" id="ve-stop-save" style="display: none;">💾 Stop & save</button>
                 <button class="btn-primary" id="ve-record">🔴 Record</button>
             </div>
 
@@ -2117,6 +2892,29 @@ class VideoExportControl {
     this._panel.querySelector('#ve-test')?.addEventListener('click', () => this._testAnimation());
     this._panel.querySelector('#ve-explore')?.addEventListener('click', () => this._startExploration());
     this._panel.querySelector('#ve-record')?.addEventListener('click', () => this._startRecording());
+    this._panel.querySelector('#ve-checkpoint-resume')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const checkpoint = await this._getCheckpointStore().getLatest();
+      if (checkpoint) {
+        this._startRecording({ resumeCheckpoint: checkpoint });
+      }
+    });
+    this._panel.querySelector('#ve-checkpoint-discard')?.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.discardCheckpoint();
+      this._showCheckpointBanner();
+    });
+    this._panel.querySelector('#ve-pause')?.addEventListener('click', () => {
+      if (this._recordingPaused) {
+        this.resume();
+      } else {
+        this.pause();
+      }
+    });
+    this._panel.querySelector('#ve-stop-save')?.addEventListener('click', () => this.stop());
+
+    // Review of the last recording (see reviewBeforeDownload)
+    this._bindReviewEvents();
 
     // Reset to defaults button
     this._panel.querySelector('#ve-reset-defaults')?.addEventListener('click', (e) => {
@@ -2164,8 +2962,16 @@ class VideoExportControl {
 
       // Show/hide Explore button and Auto-continue checkbox based on animation type
       this._updateExplorationUI();
+
+      // Show/hide keyframes editor
+      this._updateKeyframesUI();
+
+      // Show/hide telemetry HUD option
+      this._updateTelemetryUI();
     });
 
+    this._panel.querySelector('#ve-keyframe-add')?.addEventListener('click', () => this._addKeyframeFromView());
+
     // Check for OpenMapTiles and show/hide road animations (wait for style to be loaded)
     // Check capabilities once when map is idle (all sources loaded)
     this._map.once('idle', () => {
@@ -2268,6 +3074,10 @@ class VideoExportControl {
       this.options.fps = parseFloat(asInput(e.target)?.value || '30');
     });
 
+    this._panel.querySelector('#ve-framing-guides')?.addEventListener('change', (e) => {
+      this.options.framingGuides = asInput(e.target)?.checked ?? true;
+    });
+
     this._panel.querySelector('#ve-wait-tiles')?.addEventListener('change', (e) => {
       this.options.waitForTiles = asInput(e.target)?.checked ?? true;
     });
@@ -2297,30 +3107,26 @@ class VideoExportControl {
         } else if (this.options.format === 'webm-vp9') {
           formatInfo.innerHTML = '✓ Free & open-source<br>✓ Best compression & quality<br>⚠ Modern browsers only (WebCodecs API)';
           formatInfo.style.color = '#1976d2'; // blue
+        } else if (this.options.format === 'av1') {
+          formatInfo.innerHTML = '✓ Free & open-source<br>✓ Smallest files at the same quality (great for 4K)<br>⚠ Slower encoding without hardware support';
+          formatInfo.style.color = '#455a64'; // blue grey
         } else if (this.options.format === 'mp4') {
-          formatInfo.innerHTML = '⚠ Patent-encumbered codec<br>⚠ May require licensing for commercial use<br>✓ Maximum compatibility';
+          formatInfo.innerHTML = '⚠ Patent-encumbered codec<br>⚠ May require licensing for commercial use<br>✓ Maximum compatibility (native WebCodecs encoding when available)';
           formatInfo.style.color = '#d32f2f'; // red
+        } else if (this.options.format === 'gif') {
+          formatInfo.innerHTML = '✓ Plays everywhere (chat tools, docs, issues)<br>⚠ 256 colors per frame, large files<br>💡 Best for short loops (orbit, zoom pulse)';
+          formatInfo.style.color = '#f57c00'; // orange
+        } else if (this.options.format === 'webp') {
+          formatInfo.innerHTML = '✓ Full color, much smaller than GIF<br>✓ Supported by modern browsers and chat tools<br>💡 Best for short loops (orbit, zoom pulse)';
+          formatInfo.style.color = '#00897b'; // teal
+        } else if (this.options.format === 'image-sequence') {
+          formatInfo.innerHTML = '✓ Lossless PNG (or JPEG) frames in a ZIP archive<br>✓ Ready for editing tools<br>⚠ Much larger than a video';
+          formatInfo.style.color = '#7b1fa2'; // purple
         }
       }
 
       // Show/hide format-specific advanced options
-      const mp4Advanced = asHTMLElement(this._panel.querySelector('#ve-mp4-advanced'));
-      const vp8Advanced = asHTMLElement(this._panel.querySelector('#ve-webm-vp8-advanced'));
-      const vp9Advanced = asHTMLElement(this._panel.querySelector('#ve-webm-vp9-advanced'));
-
-      if (mp4Advanced && vp8Advanced && vp9Advanced) {
-        mp4Advanced.style.display = 'none';
-        vp8Advanced.style.display = 'none';
-        vp9Advanced.style.display = 'none';
-
-        if (this.options.format === 'mp4') {
-          mp4Advanced.style.display = 'block';
-        } else if (this.options.format === 'webm-vp8') {
-          vp8Advanced.style.display = 'block';
-        } else if (this.options.format === 'webm-vp9') {
-          vp9Advanced.style.display = 'block';
-        }
-      }
+      this._showFormatAdvancedOptions();
     });
 
     // WebCodecs detection - disable VP9 if not supported
@@ -2345,6 +3151,46 @@ class VideoExportControl {
       if (formatSelect) formatSelect.value = this.options.format;
     }
 
+    // AV1 detection (asynchronous) - only offer AV1 when the browser can encode it
+    const av1Option = /** @type {HTMLOptionElement | null} */(this._panel.querySelector('#ve-format-av1'));
+    isAV1Supported().then(supported => {
+      if (supported) {
+        console.log('✓ AV1 encoding supported - AV1 format available');
+        if (av1Option) {
+          av1Option.disabled = false;
+          av1Option.style.display = '';
+        }
+      } else if (this.options.format === 'av1') {
+        // Restored or configured AV1 not available here: switch to the default format
+        console.log('⚠️ AV1 encoding not supported - switching to default format');
+        this.options.format = getDefaultFormat();
+        if (formatSelect) {
+          formatSelect.value = this.options.format;
+          formatSelect.dispatchEvent(new Event('change'));
+        }
+      }
+    });
+
+    // WebP encoding detection - disable animated WebP if the browser can't encode WebP (Safari)
+    const webpOption = /** @type {HTMLOptionElement | null} */(this._panel.querySelector('#ve-format-webp'));
+    if (webpOption && !AnimatedWebPEncoder.isSupported()) {
+      webpOption.disabled = true;
+      webpOption.textContent = 'Animated WebP - Not supported in this browser';
+      console.log('⚠️ WebP encoding not supported - animated WebP option disabled');
+
+      // If WebP was selected, switch to GIF
+      if (this.options.format === 'webp') {
+        this.options.format = 'gif';
+        if (formatSelect) formatSelect.value = 'gif';
+      }
+    }
+
+    // File System Access API detection - only offer streaming to disk when files can be picked
+    if (typeof window.showSaveFilePicker === 'function') {
+      const streamGroup = asHTMLElement(this._panel.querySelector('#ve-stream-to-disk-group'));
+      if (streamGroup) streamGroup.style.display = '';
+    }
+
     // Trigger format change to show initial info message
     formatSelect?.dispatchEvent(new Event('change'));
 
@@ -2362,22 +3208,8 @@ class VideoExportControl {
       if (!this._panel) return;
       if (formatAdvancedGroup) formatAdvancedGroup.style.display = asInput(e.target)?.checked ? 'block' : 'none';
       // Show the correct format options
-      const mp4Advanced = asHTMLElement(this._panel.querySelector('#ve-mp4-advanced'));
-      const vp8Advanced = asHTMLElement(this._panel.querySelector('#ve-webm-vp8-advanced'));
-      const vp9Advanced = asHTMLElement(this._panel.querySelector('#ve-webm-vp9-advanced'));
-
-      if (asInput(e.target)?.checked && mp4Advanced && vp8Advanced && vp9Advanced) {
-        mp4Advanced.style.display = 'none';
-        vp8Advanced.style.display = 'none';
-        vp9Advanced.style.display = 'none';
-
-        if (this.options.format === 'mp4') {
-          mp4Advanced.style.display = 'block';
-        } else if (this.options.format === 'webm-vp8') {
-          vp8Advanced.style.display = 'block';
-        } else if (this.options.format === 'webm-vp9') {
-          vp9Advanced.style.display = 'block';
-        }
+      if (asInput(e.target)?.checked) {
+        this._showFormatAdvancedOptions();
       }
     });
 
@@ -2594,7 +3426,16 @@ class VideoExportControl {
 
     // Show waypoint labels toggle
     const showLabelsToggle = asInput(this._panel.querySelector('#ve-show-labels-toggle'));
+    const captionsToggle = asInput(this._panel.querySelector('#ve-captions-toggle'));
     const fontSelectContainer = asHTMLElement(this._panel.querySelector('#ve-font-select-container'));
+
+    // Font select is used by labels and captions
+    const updateFontSelectVisibility = () => {
+      if (!fontSelectContainer) return;
+      const needsFont = (showLabelsToggle?.checked ?? false) || (captionsToggle?.checked ?? false);
+      fontSelectContainer.style.display = needsFont ? 'block' : 'none';
+    };
+
     if (showLabelsToggle && fontSelectContainer) {
       showLabelsToggle.addEventListener('change', (e) => {
         const checked = asInput(e.target)?.checked ?? false;
@@ -2602,13 +3443,18 @@ class VideoExportControl {
         console.log(`[Waypoints] Show labels changed to: ${this._showWaypointLabels}`);
 
         // Show/hide font select
-        fontSelectContainer.style.display = checked ? 'block' : 'none';
+        updateFontSelectVisibility();
 
         // Update map layer
         this._updateWaypointsLayer();
       });
     }
 
+    // Burned-in captions toggle (option read with the other inputs at record time)
+    if (captionsToggle) {
+      captionsToggle.addEventListener('change', updateFontSelectVisibility);
+    }
+
     // Font select
     const fontSelect = asSelect(this._panel.querySelector('#ve-font-select'));
     if (fontSelect) {
@@ -4879,6 +5725,34 @@ class VideoExportControl {
     status.className = 'status ' + className;
   }
 
+  /**
+     * Show the advanced settings block of the selected format (others hidden)
+     */
+  _showFormatAdvancedOptions() {
+    if (!this._panel) return;
+
+    const advancedGroups = {
+      mp4: '#ve-mp4-advanced',
+      'webm-vp8': '#ve-webm-vp8-advanced',
+      'webm-vp9': '#ve-webm-vp9-advanced',
+      av1: '#ve-webm-av1-advanced',
+      gif: '#ve-gif-advanced',
+      webp: '#ve-webp-advanced',
+      'image-sequence': '#ve-image-sequence-advanced'
+    };
+
+    for (const [format, selector] of Object.entries(advancedGroups)) {
+      const group = asHTMLElement(this._panel.querySelector(selector));
+      if (group) group.style.display = this.options.format === format ? 'block' : 'none';
+    }
+  }
+
+  _updatePauseButton() {
+    if (!this._panel) return;
+    const pauseBtn = asButton(this._panel.querySelector('#ve-pause'));
+    if (pauseBtn) pauseBtn.innerHTML = this._recordingPaused ? '▶️ Resume' : '⏸️ Pause';
+  }
+
   _showEncodingSpinner() {
     if (!this._panel) return;
     const spinner = this._panel.querySelector('#ve-encoding-spinner');
@@ -4906,7 +5780,11 @@ class VideoExportControl {
 
     // Compression factors depend on resolution and framerate
     // High quality video (4K 60fps) compresses less efficiently
-    if (format === 'webm-vp9') {
+    if (format === 'av1') {
+      // AV1: about 30% smaller than VP9 at the same quality
+      const compressionFactor = isHighQuality ? 0.8 : 0.55;
+      return baseSizeMB * compressionFactor;
+    } else if (format === 'webm-vp9') {
       // VP9 compression varies significantly with quality
       // High quality: less compression (container overhead dominates)
       // Low quality: better compression
@@ -4915,6 +5793,21 @@ class VideoExportControl {
     } else if (format === 'webm-vp8' || format === 'webm') {
       const compressionFactor = isHighQuality ? 1.15 : 0.80;
       return baseSizeMB * compressionFactor;
+    } else if (format === 'gif' || format === 'webp') {
+      // Animated images ignore bitrate: downscaled, decimated frames, capped size
+      // Rough average per frame: GIF ~0.6 bytes/pixel, WebP ~0.15 bytes/pixel on map imagery
+      const { fps: outputFps, maxWidth, maxSizeMB } = this.options.encoderOptions[format];
+      const scale = Math.min(1, maxWidth / width);
+      const bytesPerPixel = format === 'gif' ? 0.6 : 0.15;
+      const frames = (durationMs / 1000) * Math.min(outputFps, fps);
+      const sizeMB = (width * scale * height * scale * bytesPerPixel * frames) / 1024 / 1024;
+      return maxSizeMB > 0 ? Math.min(sizeMB, maxSizeMB) : sizeMB;
+    } else if (format === 'image-sequence') {
+      // Image sequence ignores bitrate: size depends on frame count and image format
+      // Rough average per frame: PNG ~1.5 bytes/pixel, JPEG ~0.2 bytes/pixel on map imagery
+      const bytesPerPixel = this.options.encoderOptions.imageSequence.imageFormat === 'jpeg' ? 0.2 : 1.5;
+      const frames = (durationMs / 1000) * fps;
+      return (width * height * bytesPerPixel * frames) / 1024 / 1024;
     }
 
     // MP4 H.264: baseline (most predictable)
@@ -5046,6 +5939,82 @@ class VideoExportControl {
     console.log('[UI] Final stats displayed in widget');
   }
 
+  /**
+     * Show the video frame and safe zones over the map (DOM overlay, never captured)
+     */
+  _showFramingGuides() {
+    // 'auto' records the map as displayed, there is nothing to outline
+    if (!this._map || !this.options.framingGuides || this.options.resolution === 'auto') return;
+
+    if (!this._framingGuides) {
+      this._framingGuides = document.createElement('div');
+      this._framingGuides.className = 've-framing-guides';
+      this._framingGuides.style.cssText = 'position: absolute; inset: 0; overflow: hidden; pointer-events: none; z-index: 1;';
+      this._framingGuides.innerHTML = `
+                <div class="ve-framing-frame" style="position: absolute; outline: 1px solid rgba(255,255,255,0.9); box-shadow: 0 0 0 100vmax rgba(0,0,0,0.45);">
+                    <div class="ve-framing-safe" style="position: absolute; border: 1px dashed rgba(255,255,255,0.9);">
+                        <span class="ve-framing-safe-label" style="position: absolute; top: 4px; left: 6px; font: 11px system-ui, sans-serif; color: #fff; text-shadow: 0 1px 2px rgba(0,0,0,0.8);"></span>
+                    </div>
+                    <span class="ve-framing-size" style="position: absolute; bottom: 100%; right: 0; padding-bottom: 4px; font: 11px system-ui, sans-serif; color: #fff; text-shadow: 0 1px 2px rgba(0,0,0,0.8);"></span>
+                </div>
+            `;
+      this._map.getContainer().appendChild(this._framingGuides);
+
+      // Follow the map size (window resize, panel layout...)
+      this._onFramingGuidesResize = () => this._updateFramingGuides();
+      this._map.on('resize', this._onFramingGuidesResize);
+    }
+
+    this._updateFramingGuides();
+  }
+
+  /**
+     * Fit the framing guides to the map container and the current resolution
+     */
+  _updateFramingGuides() {
+    if (!this._framingGuides || !this._map) return;
+
+    const container = this._map.getContainer();
+    const { width, height } = this._getResolution();
+
+    // Recorded area at its real size (same zoom, container resized to the video size),
+    // or the largest rectangle with the video aspect ratio when it is larger than the map
+    const scale = Math.min(1, container.clientWidth / width, container.clientHeight / height);
+    const frameWidth = width * scale;
+    const frameHeight = height * scale;
+
+    const frame = asHTMLElement(this._framingGuides.querySelector('.ve-framing-frame'));
+    const safe = asHTMLElement(this._framingGuides.querySelector('.ve-framing-safe'));
+    const safeLabel = this._framingGuides.querySelector('.ve-framing-safe-label');
+    const sizeLabel = this._framingGuides.querySelector('.ve-framing-size');
+    if (!frame || !safe || !safeLabel || !sizeLabel) return;
+
+    frame.style.left = `${(container.clientWidth - frameWidth) / 2}px`;
+    frame.style.top = `${(container.clientHeight - frameHeight) / 2}px`;
+    frame.style.width = `${frameWidth}px`;
+    frame.style.height = `${frameHeight}px`;
+
+    const safeArea = SAFE_AREAS[this.options.resolution] || SAFE_AREAS.default;
+    safe.style.top = `${safeArea.top * 100}%`;
+    safe.style.right = `${safeArea.right * 100}%`;
+    safe.style.bottom = `${safeArea.bottom * 100}%`;
+    safe.style.left = `${safeArea.left * 100}%`;
+    safeLabel.textContent = safeArea.label;
+    sizeLabel.textContent = scale < 1 ? `${width}×${height} (recorded area is larger than the map)` : `${width}×${height}`;
+  }
+
+  /**
+     * Remove the framing guides
+     */
+  _hideFramingGuides() {
+    if (!this._framingGuides) return;
+
+    this._map?.off('resize', this._onFramingGuidesResize);
+    this._onFramingGuidesResize = null;
+    this._framingGuides.remove();
+    this._framingGuides = null;
+  }
+
   _collapseInterface() {
     if (!this._panel) return;
 
@@ -5102,6 +6071,10 @@ class VideoExportControl {
     const resetDiv = asHTMLElement(this._panel.querySelector('#ve-reset-message'));
     if (resetDiv) resetDiv.style.display = 'none';
 
+    // Hide the video waiting for review (shown again when expanded)
+    const reviewDiv = asHTMLElement(this._panel.querySelector('#ve-review'));
+    if (reviewDiv) reviewDiv.style.display = 'none';
+
     // Hide exploration limit checkbox
     const explorationLimit = asHTMLElement(this._panel.querySelector('#ve-exploration-limit'));
     if (explorationLimit) {
@@ -5161,26 +6134,14 @@ class VideoExportControl {
 
       // Restore mp4/webm specific advanced options
       if (formatAdvancedToggle.checked) {
-        const mp4Advanced = asHTMLElement(this._panel.querySelector('#ve-mp4-advanced'));
-        const vp8Advanced = asHTMLElement(this._panel.querySelector('#ve-webm-vp8-advanced'));
-        const vp9Advanced = asHTMLElement(this._panel.querySelector('#ve-webm-vp9-advanced'));
-
-        if (mp4Advanced && vp8Advanced && vp9Advanced) {
-          mp4Advanced.style.display = 'none';
-          vp8Advanced.style.display = 'none';
-          vp9Advanced.style.display = 'none';
-
-          if (this.options.format === 'mp4') {
-            mp4Advanced.style.display = '';
-          } else if (this.options.format === 'webm-vp8') {
-            vp8Advanced.style.display = '';
-          } else if (this.options.format === 'webm-vp9') {
-            vp9Advanced.style.display = '';
-          }
-        }
+        this._showFormatAdvancedOptions();
       }
     }
 
+    // Restore the video waiting for review
+    const reviewDiv = asHTMLElement(this._panel.querySelector('#ve-review'));
+    if (reviewDiv) reviewDiv.style.display = this._review?.duration ? '' : 'none';
+
     // Restore custom resolution group
     const resolutionSelect = asSelect(this._panel.querySelector('#ve-resolution'));
     const customResGroup = asHTMLElement(this._panel.querySelector('#ve-resolution-custom-group'));
@@ -5268,7 +6229,13 @@ class VideoExportControl {
     }
 
     if (format === 'mp4') {
-      console.log('📦 Using MP4 encoder');
+      // Prefer native WebCodecs AVC (no CDN download, works under strict CSP)
+      const h264Encoder = await this._loadWebCodecsH264Encoder(width, height, fps, bitrate);
+      if (h264Encoder) {
+        console.log('📦 Using MP4 encoder (WebCodecs H.264)');
+        return h264Encoder;
+      }
+      console.log('📦 Using MP4 encoder (mp4-h264 WASM fallback)');
       return this._loadMp4Encoder(sources.mp4, width, height, fps, bitrate);
     } else if (format === 'webm-vp8') {
       console.log('📦 Using WebM VP8 encoder (webm-wasm realtime)');
@@ -5276,8 +6243,17 @@ class VideoExportControl {
     } else if (format === 'webm-vp9') {
       console.log('📦 Using WebM VP9 encoder (WebCodecs)');
       return this._loadWebCodecsVP9Encoder(width, height, fps, bitrate);
+    } else if (format === 'av1') {
+      console.log('📦 Using WebM AV1 encoder (WebCodecs)');
+      return this._loadWebCodecsAV1Encoder(width, height, fps, bitrate);
+    } else if (format === 'gif' || format === 'webp') {
+      console.log(`📦 Using animated ${format.toUpperCase()} encoder`);
+      return this._loadAnimatedImageEncoder(format, width, height, fps);
+    } else if (format === 'image-sequence') {
+      console.log('📦 Using image sequence encoder (ZIP)');
+      return this._loadImageSequenceEncoder(width, height, fps);
     } else {
-      throw new Error(`Unknown format: ${format} (expected: 'webm-vp8', 'webm-vp9', or 'mp4')`);
+      throw new Error(`Unknown format: ${format} (expected: 'webm-vp8', 'webm-vp9', 'av1', 'mp4', 'gif', 'webp' or 'image-sequence')`);
     }
   }
 
@@ -5305,23 +6281,9 @@ class VideoExportControl {
     const simd = await this._simd();
     console.log(`[MP4 Encoder] SIMD support: ${simd}`);
 
-    // Get advanced parameters if enabled
-    if (!this._panel) return null;
-    const speedEl = asInput(this._panel.querySelector('#ve-mp4-speed'));
-    const qpEl = asInput(this._panel.querySelector('#ve-mp4-qp'));
-    const gopEl = asInput(this._panel.querySelector('#ve-mp4-gop'));
-
-    let speed = 10; // default
-    let qpMin = 10; let qpMax = 42; // defaults
-    let gop = 30; // default
-
-    if (speedEl) speed = parseInt(speedEl.value, 10);
-    if (qpEl) {
-      const [min, max] = qpEl.value.split(',').map(v => parseInt(v, 10));
-      qpMin = min;
-      qpMax = max;
-    }
-    if (gopEl) gop = parseInt(gopEl.value, 10);
+    // Get advanced parameters (from options, refreshed from the panel when shown)
+    const { speed, qp, gop } = this.options.encoderOptions.mp4;
+    const [qpMin, qpMax] = qp;
 
     console.log(`[MP4 Encoder] Advanced params - Speed: ${speed}, QP: ${qpMin}-${qpMax}, GOP: ${gop}`);
 
@@ -5343,6 +6305,66 @@ class VideoExportControl {
     return encoder;
   }
 
+  /**
+     * Audio track settings for the WebCodecs encoders
+     * @returns {Object|null} {sampleRate, numberOfChannels}, or null when no audio is configured
+     */
+  _getAudioTrackConfig() {
+    const { soundtrack, audioCues, waypointCue } = this.options;
+    if (!soundtrack && !audioCues?.length && !waypointCue) return null;
+
+    return { sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: AUDIO_CHANNELS };
+  }
+
+  /**
+     * Load WebCodecs H.264 encoder (MP4 through Mediabunny)
+     * @returns {Promise<Object|null>} Encoder, or null when WebCodecs AVC is not available
+     */
+  async _loadWebCodecsH264Encoder(width, height, fps, bitrate) {
+    // Import WebCodecsH264Encoder dynamically
+    if (!this._WebCodecsH264Encoder) {
+      const module = await import('./webcodecs-h264-encoder.js');
+      this._WebCodecsH264Encoder = module.WebCodecsH264Encoder;
+    }
+
+    // Check AVC support for this exact configuration (H.264 also needs even dimensions)
+    const supported = width % 2 === 0 && height % 2 === 0 &&
+      await this._WebCodecsH264Encoder.isCodecSupported('avc', { width, height, bitrate });
+    if (!supported) {
+      console.log(`[WebCodecs H.264] AVC encoding not available for ${width}x${height} - using WASM encoder`);
+      return null;
+    }
+
+    // Keyframe interval shared with the WASM encoder settings
+    const { gop } = this.options.encoderOptions.mp4;
+
+    const encoder = new this._WebCodecsH264Encoder();
+    try {
+      await encoder.create({
+        width,
+        height,
+        fps,
+        bitrate,
+        keyFrameInterval: gop,
+        audio: this._getAudioTrackConfig(),
+        stream: this._outputStream,
+        ...this._checkpointEncoding
+      });
+    } catch (error) {
+      await encoder.destroy();
+
+      // The stream was handed to this encoder: the WASM encoder can't write it anymore
+      if (this._outputStream?.locked) {
+        throw error;
+      }
+      console.warn('[WebCodecs H.264] Initialization failed - using WASM encoder:', error);
+      return null;
+    }
+
+    console.log(`[WebCodecs H.264] Got encoder (${width}x${height}, ${fps}fps, ${bitrate}kbps, GOP: ${gop})`);
+    return encoder;
+  }
+
   /**
      * Load WebM encoder (requires local files)
      */
@@ -5364,10 +6386,8 @@ class VideoExportControl {
 
     console.log(`[WebM Encoder] Loading from: ${workerUrl}`);
 
-    // Get advanced VP8 parameters if available
-    if (!this._panel) return null;
-    const vp8BitrateEl = asInput(this._panel.querySelector('#ve-vp8-bitrate-custom'));
-    const customBitrate = vp8BitrateEl && vp8BitrateEl.value ? parseInt(vp8BitrateEl.value, 10) : null;
+    // Get advanced VP8 parameters (from options, refreshed from the panel when shown)
+    const customBitrate = this.options.encoderOptions.vp8.bitrate || null;
 
     // Use custom bitrate if specified, otherwise use auto-calculated
     const finalBitrate = customBitrate || bitrate;
@@ -5413,19 +6433,8 @@ class VideoExportControl {
       );
     }
 
-    // Get advanced VP9 parameters if available
-    if (!this._panel) return null;
-    const qualityEl = asSelect(this._panel.querySelector('#ve-vp9-quality'));
-    const latencyEl = asSelect(this._panel.querySelector('#ve-vp9-latency'));
-    const bitrateModeEl = asSelect(this._panel.querySelector('#ve-vp9-bitrate-mode'));
-    const keyframeEl = asInput(this._panel.querySelector('#ve-vp9-keyframe'));
-    const contentHintEl = asSelect(this._panel.querySelector('#ve-vp9-content-hint'));
-
-    const quality = qualityEl ? qualityEl.value : 'high';
-    const latencyMode = latencyEl ? latencyEl.value : 'quality';
-    const bitrateMode = bitrateModeEl ? bitrateModeEl.value : 'variable';
-    const keyFrameInterval = keyframeEl ? parseInt(keyframeEl.value, 10) : 120;
-    const contentHint = contentHintEl ? contentHintEl.value : '';
+    // Get advanced VP9 parameters (from options, refreshed from the panel when shown)
+    const { quality, latencyMode, bitrateMode, keyFrameInterval, contentHint } = this.options.encoderOptions.vp9;
 
     console.log('[WebCodecs VP9] Advanced params:', {
       quality,
@@ -5446,71 +6455,182 @@ class VideoExportControl {
       latencyMode,
       bitrateMode,
       keyFrameInterval,
-      contentHint
+      contentHint,
+      audio: this._getAudioTrackConfig(),
+      stream: this._outputStream,
+      ...this._checkpointEncoding
     });
 
     console.log(`[WebCodecs VP9] Got encoder (${width}x${height}, ${fps}fps, ${bitrate}kbps, ${quality} quality)`);
     return encoder;
   }
 
-  async _detectEncoderSources() {
-    // Try locations in order:
-    // 1. Plugin's own vendor/ directory (same location as the plugin)
-    // 2. Custom encoderPath if specified
-    // 3. CDN fallback
-
-    const mp4PathsToTry = [];
-    const webmPathsToTry = [];
-
-    // 1. Try plugin's vendor directory
-    const pluginDir = getPluginDirectory();
-    if (pluginDir) {
-      mp4PathsToTry.push({
-        name: 'plugin vendor',
-        encoderUrl: pluginDir + 'vendor/mp4/mp4-encoder.js',
-        simdUrl: pluginDir + 'vendor/mp4/index.js'
-      });
-      webmPathsToTry.push({
-        name: 'plugin vendor',
-        workerUrl: pluginDir + 'vendor/webm/webm-worker.js',
-        wasmUrl: pluginDir + 'vendor/webm/webm-wasm.wasm'
-      });
+  /**
+     * Load WebCodecs AV1 encoder (only when VideoEncoder supports AV1)
+     */
+  async _loadWebCodecsAV1Encoder(width, height, fps, bitrate) {
+    // Import WebCodecsAV1Encoder dynamically
+    if (!this._WebCodecsAV1Encoder) {
+      const module = await import('./webcodecs-av1-encoder.js');
+      this._WebCodecsAV1Encoder = module.WebCodecsAV1Encoder;
     }
 
-    // 2. Try custom path if specified
-    if (this.options.encoderPath) {
-      const customPath = this.options.encoderPath.endsWith('/')
-        ? this.options.encoderPath
-        : this.options.encoderPath + '/';
-
-      mp4PathsToTry.push({
-        name: 'custom path',
-        encoderUrl: customPath + 'mp4-encoder.js',
-        simdUrl: customPath + 'index.js'
-      });
-      webmPathsToTry.push({
-        name: 'custom path',
-        workerUrl: customPath + 'webm-worker.js',
-        wasmUrl: customPath + 'webm-wasm.wasm'
-      });
+    // Check support for this exact configuration
+    if (!await this._WebCodecsAV1Encoder.isCodecSupported('av1', { width, height, bitrate })) {
+      throw new Error(
+        `AV1 encoding not supported in this browser at ${width}x${height}. ` +
+                'Select WebM (VP9) format.'
+      );
     }
 
-    // Try to detect MP4 encoder
-    let mp4Source = null;
-    for (const path of mp4PathsToTry) {
-      try {
-        const response = await fetch(path.encoderUrl, { method: 'HEAD' });
-        if (response.ok) {
-          console.log(`✅ Found MP4 encoder at ${path.name}: ${path.encoderUrl}`);
-          mp4Source = path;
-          break;
-        }
-      } catch (e) {
-        // Continue to next path
-      }
-    }
+    // Get advanced AV1 parameters (from options, refreshed from the panel when shown)
+    const { quality, latencyMode, bitrateMode, keyFrameInterval, contentHint } = this.options.encoderOptions.av1;
 
-    // Fallback to CDN for MP4
+    console.log('[WebCodecs AV1] Advanced params:', {
+      quality,
+      latencyMode,
+      bitrateMode,
+      keyFrameInterval,
+      contentHint: contentHint || 'auto'
+    });
+
+    const encoder = new this._WebCodecsAV1Encoder();
+    await encoder.create({
+      width,
+      height,
+      fps,
+      bitrate,
+      quality,
+      latencyMode,
+      bitrateMode,
+      keyFrameInterval,
+      contentHint,
+      audio: this._getAudioTrackConfig(),
+      stream: this._outputStream,
+      ...this._checkpointEncoding
+    });
+
+    console.log(`[WebCodecs AV1] Got encoder (${width}x${height}, ${fps}fps, ${bitrate}kbps, ${quality} quality)`);
+    return encoder;
+  }
+
+  /**
+     * Load animated image encoder (GIF or animated WebP)
+     */
+  async _loadAnimatedImageEncoder(format, width, height, fps) {
+    // Import encoders dynamically
+    if (!this._animatedImageEncoders) {
+      const module = await import('./animated-image-encoder.js');
+      this._animatedImageEncoders = {
+        gif: module.GifEncoder,
+        webp: module.AnimatedWebPEncoder
+      };
+    }
+
+    // Get animated image settings (from options, refreshed from the panel when shown)
+    const { fps: outputFps, maxWidth, maxSizeMB, loop, quality } = this.options.encoderOptions[format];
+
+    const encoder = new this._animatedImageEncoders[format]();
+    await encoder.create({
+      width,
+      height,
+      fps,
+      outputFps,
+      maxWidth,
+      maxSizeMB,
+      loop,
+      quality
+    });
+
+    console.log(`[Animated ${format.toUpperCase()}] Got encoder (${encoder.outputWidth}x${encoder.outputHeight}, ${encoder.outputFps}fps)`);
+    return encoder;
+  }
+
+  /**
+     * Load image sequence encoder (PNG/JPEG frames in a ZIP archive)
+     */
+  async _loadImageSequenceEncoder(width, height, fps) {
+    // Import ImageSequenceEncoder dynamically
+    if (!this._ImageSequenceEncoder) {
+      const module = await import('./image-sequence-encoder.js');
+      this._ImageSequenceEncoder = module.ImageSequenceEncoder;
+    }
+
+    // Get image settings (from options, refreshed from the panel when shown)
+    const { imageFormat, quality } = this.options.encoderOptions.imageSequence;
+
+    const encoder = new this._ImageSequenceEncoder();
+    await encoder.create({
+      width,
+      height,
+      fps,
+      imageFormat,
+      quality,
+      stream: this._outputStream
+    });
+
+    console.log(`[Image Sequence] Got encoder (${width}x${height}, ${fps}fps, ${imageFormat})`);
+    return encoder;
+  }
+
+  async _detectEncoderSources() {
+    // Try locations in order:
+    // 1. Plugin's own vendor/ directory (same location as the plugin)
+    // 2. Custom encoderPath if specified
+    // 3. CDN fallback
+
+    const mp4PathsToTry = [];
+    const webmPathsToTry = [];
+
+    // 1. Try plugin's vendor directory
+    const pluginDir = getPluginDirectory();
+    if (pluginDir) {
+      mp4PathsToTry.push({
+        name: 'plugin vendor',
+        encoderUrl: pluginDir + 'vendor/mp4/mp4-encoder.js',
+        simdUrl: pluginDir + 'vendor/mp4/index.js'
+      });
+      webmPathsToTry.push({
+        name: 'plugin vendor',
+        workerUrl: pluginDir + 'vendor/webm/webm-worker.js',
+        wasmUrl: pluginDir + 'vendor/webm/webm-wasm.wasm'
+      });
+    }
+
+    // 2. Try custom path if specified
+    if (this.options.encoderPath) {
+      const customPath = this.options.encoderPath.endsWith('/')
+        ? this.options.encoderPath
+        : this.options.encoderPath + '/';
+
+      mp4PathsToTry.push({
+        name: 'custom path',
+        encoderUrl: customPath + 'mp4-encoder.js',
+        simdUrl: customPath + 'index.js'
+      });
+      webmPathsToTry.push({
+        name: 'custom path',
+        workerUrl: customPath + 'webm-worker.js',
+        wasmUrl: customPath + 'webm-wasm.wasm'
+      });
+    }
+
+    // Try to detect MP4 encoder
+    let mp4Source = null;
+    for (const path of mp4PathsToTry) {
+      try {
+        const response = await fetch(path.encoderUrl, { method: 'HEAD' });
+        if (response.ok) {
+          console.log(`✅ Found MP4 encoder at ${path.name}: ${path.encoderUrl}`);
+          mp4Source = path;
+          break;
+        }
+      } catch (e) {
+        // Continue to next path
+      }
+    }
+
+    // Fallback to CDN for MP4
     if (!mp4Source) {
       console.log('ℹ️ Using CDN for MP4 encoder (no local files found)');
       mp4Source = {
@@ -5605,9 +6725,23 @@ class VideoExportControl {
       }
     }
 
+    // Framing guides
+    const framingGuidesCheckbox = asInput(this._panel.querySelector('#ve-framing-guides'));
+    if (framingGuidesCheckbox) this.options.framingGuides = framingGuidesCheckbox.checked;
+
     // Cinematic bars
     const cinematicBarsSelect = asSelect(this._panel.querySelector('#ve-cinematic-bars'));
     if (cinematicBarsSelect) this.options.cinematicBars = cinematicBarsSelect.value;
+    const cinematicCropCheckbox = asInput(this._panel.querySelector('#ve-cinematic-crop'));
+    if (cinematicCropCheckbox) this.options.cinematicBarsMode = cinematicCropCheckbox.checked ? 'crop' : 'bars';
+
+    // Supersampling
+    const supersamplingSelect = asSelect(this._panel.querySelector('#ve-supersampling'));
+    if (supersamplingSelect) this.options.supersampling = parseInt(supersamplingSelect.value, 10);
+
+    // Motion blur
+    const motionBlurSelect = asSelect(this._panel.querySelector('#ve-motion-blur'));
+    if (motionBlurSelect) this.options.motionBlur = parseInt(motionBlurSelect.value, 10);
 
     // Format
     const formatSelect = asSelect(this._panel.querySelector('#ve-format'));
@@ -5628,12 +6762,101 @@ class VideoExportControl {
     const waitTilesCheckbox = asInput(this._panel.querySelector('#ve-wait-tiles'));
     if (waitTilesCheckbox) this.options.waitForTiles = waitTilesCheckbox.checked;
 
+    // Map attribution
+    const attributionCheckbox = asInput(this._panel.querySelector('#ve-burn-attribution'));
+    if (attributionCheckbox) this.options.attribution = attributionCheckbox.checked;
+
+    // Review before download
+    const reviewCheckbox = asInput(this._panel.querySelector('#ve-review-toggle'));
+    if (reviewCheckbox) this.options.reviewBeforeDownload = reviewCheckbox.checked;
+
+    // Waypoint captions
+    const captionsCheckbox = asInput(this._panel.querySelector('#ve-captions-toggle'));
+    if (captionsCheckbox) this.options.captions = captionsCheckbox.checked;
+
+    // Advanced MP4 parameters
+    const mp4 = this.options.encoderOptions.mp4;
+    const mp4SpeedInput = asInput(this._panel.querySelector('#ve-mp4-speed'));
+    const mp4QpInput = asInput(this._panel.querySelector('#ve-mp4-qp'));
+    const mp4GopInput = asInput(this._panel.querySelector('#ve-mp4-gop'));
+    if (mp4SpeedInput) mp4.speed = parseInt(mp4SpeedInput.value, 10);
+    if (mp4QpInput) mp4.qp = mp4QpInput.value.split(',').map(v => parseInt(v, 10));
+    if (mp4GopInput) mp4.gop = parseInt(mp4GopInput.value, 10);
+
+    // Advanced VP8 parameters
+    const vp8BitrateInput = asInput(this._panel.querySelector('#ve-vp8-bitrate-custom'));
+    if (vp8BitrateInput) {
+      this.options.encoderOptions.vp8.bitrate = vp8BitrateInput.value ? parseInt(vp8BitrateInput.value, 10) : null;
+    }
+
+    // Advanced VP9 parameters
+    const vp9 = this.options.encoderOptions.vp9;
+    const vp9QualitySelect = asSelect(this._panel.querySelector('#ve-vp9-quality'));
+    const vp9LatencySelect = asSelect(this._panel.querySelector('#ve-vp9-latency'));
+    const vp9BitrateModeSelect = asSelect(this._panel.querySelector('#ve-vp9-bitrate-mode'));
+    const vp9KeyframeInput = asInput(this._panel.querySelector('#ve-vp9-keyframe'));
+    const vp9ContentHintSelect = asSelect(this._panel.querySelector('#ve-vp9-content-hint'));
+    if (vp9QualitySelect) vp9.quality = vp9QualitySelect.value;
+    if (vp9LatencySelect) vp9.latencyMode = vp9LatencySelect.value;
+    if (vp9BitrateModeSelect) vp9.bitrateMode = vp9BitrateModeSelect.value;
+    if (vp9KeyframeInput) vp9.keyFrameInterval = parseInt(vp9KeyframeInput.value, 10);
+    if (vp9ContentHintSelect) vp9.contentHint = vp9ContentHintSelect.value;
+
+    // Advanced AV1 parameters (same settings as VP9)
+    const av1 = this.options.encoderOptions.av1;
+    const av1QualitySelect = asSelect(this._panel.querySelector('#ve-av1-quality'));
+    const av1LatencySelect = asSelect(this._panel.querySelector('#ve-av1-latency'));
+    const av1BitrateModeSelect = asSelect(this._panel.querySelector('#ve-av1-bitrate-mode'));
+    const av1KeyframeInput = asInput(this._panel.querySelector('#ve-av1-keyframe'));
+    const av1ContentHintSelect = asSelect(this._panel.querySelector('#ve-av1-content-hint'));
+    if (av1QualitySelect) av1.quality = av1QualitySelect.value;
+    if (av1LatencySelect) av1.latencyMode = av1LatencySelect.value;
+    if (av1BitrateModeSelect) av1.bitrateMode = av1BitrateModeSelect.value;
+    if (av1KeyframeInput) av1.keyFrameInterval = parseInt(av1KeyframeInput.value, 10);
+    if (av1ContentHintSelect) av1.contentHint = av1ContentHintSelect.value;
+
+    // Animated GIF / WebP parameters
+    for (const format of ['gif', 'webp']) {
+      const settings = this.options.encoderOptions[format];
+      const fpsSelect = asSelect(this._panel.querySelector(`#ve-${format}-fps`));
+      const maxWidthInput = asInput(this._panel.querySelector(`#ve-${format}-max-width`));
+      const maxSizeInput = asInput(this._panel.querySelector(`#ve-${format}-max-size`));
+      if (fpsSelect) settings.fps = parseInt(fpsSelect.value, 10);
+      if (maxWidthInput && maxWidthInput.value) settings.maxWidth = parseInt(maxWidthInput.value, 10);
+      if (maxSizeInput && maxSizeInput.value !== '') settings.maxSizeMB = parseFloat(maxSizeInput.value);
+    }
+    const webpQualityInput = asInput(this._panel.querySelector('#ve-webp-quality'));
+    if (webpQualityInput && webpQualityInput.value) {
+      this.options.encoderOptions.webp.quality = Math.min(100, Math.max(10, parseInt(webpQualityInput.value, 10))) / 100;
+    }
+
+    // Image sequence parameters
+    const imageSequence = this.options.encoderOptions.imageSequence;
+    const imageFormatSelect = asSelect(this._panel.querySelector('#ve-image-sequence-format'));
+    const imageQualityInput = asInput(this._panel.querySelector('#ve-image-sequence-quality'));
+    if (imageFormatSelect) imageSequence.imageFormat = imageFormatSelect.value;
+    if (imageQualityInput && imageQualityInput.value) {
+      imageSequence.quality = Math.min(100, Math.max(10, parseInt(imageQualityInput.value, 10))) / 100;
+    }
+
     // Loop
     const loopSelect = asSelect(this._panel.querySelector('#ve-loop'));
     if (loopSelect) {
       this.options.loop = loopSelect.value === 'false' ? false : loopSelect.value;
     }
 
+    // Keyframes (keep keyframes passed as option when the editor is empty)
+    const keyframesTextarea = /** @type {HTMLTextAreaElement | null} */(this._panel.querySelector('#ve-keyframes'));
+    if (keyframesTextarea && keyframesTextarea.value.trim()) {
+      this.options.keyframes = keyframesTextarea.value;
+    }
+    const keyframesSmoothCheckbox = asInput(this._panel.querySelector('#ve-keyframes-smooth'));
+    if (keyframesSmoothCheckbox) this.options.keyframeSmoothing = keyframesSmoothCheckbox.checked;
+
+    // Telemetry HUD
+    const telemetryHudCheckbox = asInput(this._panel.querySelector('#ve-telemetry-hud'));
+    if (telemetryHudCheckbox) this.options.telemetryHud = telemetryHudCheckbox.checked;
+
     // Geographic constraints - Bounds
     const westInput = asInput(this._panel.querySelector('#ve-bounds-west'));
     const eastInput = asInput(this._panel.querySelector('#ve-bounds-east'));
@@ -5716,17 +6939,30 @@ class VideoExportControl {
       animation = (map, control) => director.createAdaptiveAnimation(control, this.options);
     }
 
-    // All animations return { setup, animation } format
+    // All animations return { setup, animation } or { setup, cameraAt } format
     // - setup: optional function to run before recording (e.g., camera positioning)
     // - animation: main animation function to run during recording
+    // - cameraAt: pure function (tMs) => {center, zoom, bearing, pitch}, applied frame by frame
+    // - duration: optional timeline length in ms, replaces options.duration (e.g. keyframe times)
     let setup = null;
     let animationFn = null;
+    let cameraAt = null;
+    let duration = this.options.duration;
 
-    // Call the animation function to get { setup, animation }
+    // Call the animation function to get { setup, animation } or { setup, cameraAt }
     const result = animation(this._map, this);
 
-    // Check if result is the new format with setup phase
-    if (typeof result === 'object' && result !== null && 'animation' in result) {
+    // Check if result is a deterministic timeline
+    if (typeof result === 'object' && result !== null && typeof result.cameraAt === 'function') {
+      setup = result.setup || null;
+      cameraAt = result.cameraAt;
+      console.log('🎬 Deterministic animation (cameraAt timeline)');
+
+      if (typeof result.duration === 'number' && result.duration > 0 && result.duration !== duration) {
+        console.log(`🎬 Timeline duration ${result.duration}ms replaces the ${duration}ms duration setting`);
+        duration = result.duration;
+      }
+    } else if (typeof result === 'object' && result !== null && 'animation' in result) {
       // Standard format: { setup, animation }
       setup = result.setup || null;
       animationFn = result.animation;
@@ -5742,7 +6978,12 @@ class VideoExportControl {
     }
 
     // Add loop functionality if enabled
-    if (this.options.loop) {
+    // (an instant loop needs nothing for timelines: the video simply ends on the last frame)
+    if (cameraAt) {
+      if (this.options.loop === 'smooth') {
+        cameraAt = this._addLoopToCameraAt(cameraAt, duration);
+      }
+    } else if (this.options.loop) {
       animationFn = this._addLoopToAnimation(animationFn);
     }
 
@@ -5756,7 +6997,11 @@ class VideoExportControl {
       });
 
       // Wrap the animation with constraints
-      animationFn = constraints.wrapAnimation(animationFn);
+      if (cameraAt) {
+        cameraAt = constraints.wrapCameraAt(cameraAt);
+      } else {
+        animationFn = constraints.wrapAnimation(animationFn);
+      }
 
       console.log('🔒 Animation constraints applied:', {
         maxBounds: this.options.maxBounds,
@@ -5766,7 +7011,74 @@ class VideoExportControl {
       });
     }
 
-    return { setup, animation: animationFn };
+    // Timelines can also be played in real time (test mode)
+    if (cameraAt) {
+      const returnDuration = this.options.loop === 'smooth' ? Math.min(2000, duration * 0.2) : 0;
+      animationFn = this._createCameraAtAnimation(cameraAt, duration + returnDuration);
+    }
+
+    return { setup, animation: animationFn, cameraAt, duration };
+  }
+
+  /**
+     * Play a cameraAt timeline in real time (one jumpTo per browser frame)
+     * Used when the animation is not recorded frame by frame (e.g. test mode)
+     * @param {Function} cameraAt - (tMs) => {center, zoom, bearing, pitch}
+     * @param {number} duration - Timeline duration in ms
+     * @returns {Function} Animation function compatible with AnimationController.run()
+     */
+  _createCameraAtAnimation(cameraAt, duration) {
+    return async (map, { checkAbort }) => {
+      // @ts-ignore - now() is part of the timeControl API (real time when not frozen)
+      const startTime = maplibregl.now();
+
+      while (true) {
+        checkAbort();
+
+        // @ts-ignore
+        const elapsed = maplibregl.now() - startTime;
+        if (elapsed >= duration) break;
+
+        map.jumpTo(cameraAt(elapsed));
+        await new Promise(resolve => requestAnimationFrame(resolve));
+      }
+
+      map.jumpTo(cameraAt(duration));
+    };
+  }
+
+  /**
+     * Add a smooth return to the start camera at the end of a cameraAt timeline
+     * Same return duration as _addLoopToAnimation (2 seconds or 20% of duration)
+     * @param {Function} cameraAt - (tMs) => {center, zoom, bearing, pitch}
+     * @param {number} duration - Timeline duration in milliseconds
+     * @returns {Function} Extended cameraAt function
+     */
+  _addLoopToCameraAt(cameraAt, duration) {
+    const returnDuration = Math.min(2000, duration * 0.2);
+
+    return (tMs) => {
+      if (tMs <= duration) return cameraAt(tMs);
+
+      const from = cameraAt(duration);
+      const to = cameraAt(0);
+      const progress = Math.min(1, (tMs - duration) / returnDuration);
+      const t = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2; // Ease in-out
+
+      // Shortest rotation back to the start bearing
+      const fromBearing = from.bearing || 0;
+      const bearingDiff = ((((to.bearing || 0) - fromBearing) % 360) + 540) % 360 - 180;
+
+      return {
+        center: [
+          from.center[0] + (to.center[0] - from.center[0]) * t,
+          from.center[1] + (to.center[1] - from.center[1]) * t
+        ],
+        zoom: from.zoom + (to.zoom - from.zoom) * t,
+        bearing: fromBearing + bearingDiff * t,
+        pitch: (from.pitch || 0) + ((to.pitch || 0) - (from.pitch || 0)) * t
+      };
+    };
   }
 
   /**
@@ -5871,6 +7183,80 @@ class VideoExportControl {
     console.log(`[UI] Animation ${supportsExploration ? 'supports' : 'does not support'} exploration`);
   }
 
+  /**
+     * Show the keyframes editor only when the Keyframes animation is selected
+     */
+  _updateKeyframesUI() {
+    if (!this._panel) return;
+    const keyframesGroup = asHTMLElement(this._panel.querySelector('#ve-keyframes-group'));
+    if (!keyframesGroup) return;
+
+    keyframesGroup.style.display = this.options.animation === 'keyframes' ? 'block' : 'none';
+
+    // Pre-fill the editor with keyframes passed as option
+    const keyframesTextarea = /** @type {HTMLTextAreaElement | null} */(this._panel.querySelector('#ve-keyframes'));
+    if (keyframesTextarea && !keyframesTextarea.value.trim() && Array.isArray(this.options.keyframes)) {
+      keyframesTextarea.value = this._formatKeyframes(this.options.keyframes);
+    }
+  }
+
+  /**
+     * Show the telemetry HUD option only for road-following animations
+     */
+  _updateTelemetryUI() {
+    if (!this._panel) return;
+    const telemetryGroup = asHTMLElement(this._panel.querySelector('#ve-telemetry-hud-group'));
+    if (!telemetryGroup) return;
+
+    const profile = typeof this.options.animation === 'string' ? ANIMATION_PROFILES[this.options.animation] : null;
+    telemetryGroup.style.display = profile?.group === 'road' ? 'block' : 'none';
+  }
+
+  /**
+     * Format keyframes as JSON with one keyframe per line
+     * @param {Array} keyframes - Keyframes array
+     * @returns {string} JSON string
+     */
+  _formatKeyframes(keyframes) {
+    return '[\n' + keyframes.map(keyframe => '  ' + JSON.stringify(keyframe)).join(',\n') + '\n]';
+  }
+
+  /**
+     * Append the current camera as a new keyframe in the editor
+     * The new keyframe is placed 3 seconds after the last one
+     */
+  _addKeyframeFromView() {
+    if (!this._panel || !this._map) return;
+    const keyframesTextarea = /** @type {HTMLTextAreaElement | null} */(this._panel.querySelector('#ve-keyframes'));
+    if (!keyframesTextarea) return;
+
+    let keyframes = [];
+    if (keyframesTextarea.value.trim()) {
+      try {
+        keyframes = JSON.parse(keyframesTextarea.value);
+        if (!Array.isArray(keyframes)) throw new Error('Keyframes must be an array');
+      } catch (error) {
+        this._updateStatus(`Invalid keyframes JSON: ${error.message}`, 'error');
+        return;
+      }
+    }
+
+    const lastKeyframe = keyframes[keyframes.length - 1];
+    const center = this._map.getCenter();
+    keyframes.push({
+      time: lastKeyframe ? (lastKeyframe.time || 0) + 3000 : 0,
+      center: [parseFloat(center.lng.toFixed(6)), parseFloat(center.lat.toFixed(6))],
+      zoom: parseFloat(this._map.getZoom().toFixed(2)),
+      bearing: parseFloat(this._map.getBearing().toFixed(1)),
+      pitch: parseFloat(this._map.getPitch().toFixed(1)),
+      easing: 'easeInOut'
+    });
+
+    keyframesTextarea.value = this._formatKeyframes(keyframes);
+    this._saveSettings();
+    console.log(`[Keyframes] Added keyframe ${keyframes.length} from current view`);
+  }
+
   _updateAnimationDescription() {
     if (!this._panel) return;
 
@@ -6075,9 +7461,10 @@ class VideoExportControl {
 
       // Read fresh options from UI inputs
       this._readOptionsFromUI();
+      this._showFramingGuides();
 
       // Get animation with optional setup phase
-      const { setup, animation } = await this._getAnimation();
+      const { setup, animation, duration } = await this._getAnimation();
 
       // Execute setup phase first (e.g., camera repositioning)
       if (setup) {
@@ -6098,7 +7485,6 @@ class VideoExportControl {
 
       // Start progress tracking
       const startTime = performance.now();
-      const duration = this.options.duration;
 
       // Show widget
       if (this._progressWidget) {
@@ -6147,6 +7533,7 @@ class VideoExportControl {
       testBtn.innerHTML = '▶️ Test';
       testBtn.disabled = false;
       recordBtn.disabled = false;
+      this._hideFramingGuides();
       this._expandInterface();
     }
   }
@@ -6201,6 +7588,7 @@ class VideoExportControl {
 
       // Read fresh options from UI inputs
       this._readOptionsFromUI();
+      this._showFramingGuides();
 
       // Get animation with setup phase
       const { setup, animation } = await this._getAnimation();
@@ -6300,16 +7688,24 @@ class VideoExportControl {
       testBtn.disabled = false;
       recordBtn.innerHTML = '🔴 Record';
       recordBtn.disabled = false;
+      this._hideFramingGuides();
       this._expandInterface();
       this._isExploring = false;
     }
   }
 
-  async _startRecording() {
+  /**
+     * Record from the panel (Record button, or Resume in the checkpoint banner)
+     * @param {Object} [options={}]
+     * @param {Object} [options.resumeCheckpoint] - Checkpoint to resume instead of starting over
+     */
+  async _startRecording({ resumeCheckpoint = null } = {}) {
     if (!this._panel) return;
     const testBtn = asButton(this._panel.querySelector('#ve-test'));
     const exploreBtn = asButton(this._panel.querySelector('#ve-explore'));
     const recordBtn = asButton(this._panel.querySelector('#ve-record'));
+    const stopSaveBtn = asButton(this._panel.querySelector('#ve-stop-save'));
+    const pauseBtn = asButton(this._panel.querySelector('#ve-pause'));
     if (!testBtn || !exploreBtn || !recordBtn) return;
 
     // Save settings to localStorage
@@ -6319,6 +7715,29 @@ class VideoExportControl {
     const resetMessage = this._panel.querySelector('#ve-reset-message');
     if (resetMessage) resetMessage.style.display = 'none';
 
+    // If recording, cancel it (the pending recording cleans up the UI)
+    if (this._recordingAbortController) {
+      this.cancel();
+      return;
+    }
+
+    // Prevent starting new recording if one is starting or the previous one isn't cleaned up
+    if (this._isRecording || this._recordingRequested) {
+      console.warn('[Recording] ⚠️ Cannot start new recording - previous recording still in progress');
+      this._updateStatus('Please wait...', 'error');
+      return;
+    }
+
+    // Check for time control
+    if (!window.maplibregl || typeof maplibregl.setNow !== 'function') {
+      this._updateStatus('Time control not available', 'error');
+      alert('MapLibre time control (setNow/restoreNow) is required for video export.\n\nPlease use MapLibre GL JS v5.10.0 or later.');
+      return;
+    }
+
+    // Claim the map before the first await (the pipeline flags itself later, see _isRecording)
+    this._recordingRequested = true;
+
     // SPECIAL CASE: If we're in exploration mode and click "Record from here"
     if (this._isExploring && this._animationController.running) {
       console.log('[Recording] 📍 Starting recording from current exploration position');
@@ -6341,51 +7760,51 @@ class VideoExportControl {
       // The camera is already at the desired position from exploration
     }
 
-    // If running, cancel it
-    if (this._animationController.running) {
-      this._animationController.cancel(this._map);
-
-      testBtn.disabled = false;
-      recordBtn.innerHTML = '🔴 Record';
-      recordBtn.disabled = false;
-      this._updateStatus('Cancelled', 'error');
-      this._hideProgress();
-      this._expandInterface();
-      // Clear recording flag immediately on cancel
-      this._isRecording = false;
-      console.log('[Recording] 🔓 Recording flag CLEARED on cancel');
-      // Restore time if needed
-      if (maplibregl.restoreNow) {
-        maplibregl.restoreNow();
-      }
-      return;
-    }
-
-    // Prevent starting new recording if cleanup from previous one isn't complete
-    if (this._isRecording) {
-      console.warn('[Recording] ⚠️ Cannot start new recording - previous recording still cleaning up');
-      this._updateStatus('Please wait...', 'error');
-      return;
-    }
-
-    // Check for time control
-    if (!window.maplibregl || typeof maplibregl.setNow !== 'function') {
-      this._updateStatus('Time control not available', 'error');
-      alert('MapLibre time control (setNow/restoreNow) is required for video export.\n\nPlease use MapLibre GL JS v5.10.0 or later.');
-      return;
-    }
+    // A new take replaces the one waiting for review
+    this._closeReview();
 
     testBtn.disabled = true;
     recordBtn.innerHTML = '⏹️ Cancel';
+    if (stopSaveBtn) stopSaveBtn.style.display = '';
+    if (pauseBtn) pauseBtn.style.display = '';
     this._collapseInterface();
 
+    const previousStreamTo = this.options.streamTo;
+    let previousOptions = null;
+    let reviewBlob = null;
     try {
       // Read fresh options from UI inputs
       this._readOptionsFromUI();
 
+      // Save directly to disk: ask for the file now (the picker needs the click's user activation)
+      const streamCheckbox = asInput(this._panel.querySelector('#ve-stream-to-disk'));
+      if (streamCheckbox?.checked && typeof window.showSaveFilePicker === 'function') {
+        this.options.streamTo = await this._pickOutputFile();
+      }
+
+      // Resumed recording: render with the settings and start camera it was started with
+      if (resumeCheckpoint) {
+        previousOptions = this._applyCheckpointRecipe(resumeCheckpoint.recipe);
+      }
+
       // Start recording directly (no test needed - helper map works in real-time)
-      console.log('[Recording] 🔴 Starting recording...');
-      await this._doRecording();
+      console.log(resumeCheckpoint ? `[Recording] 🔁 Resuming recording at frame ${resumeCheckpoint.frameIndex}...` : '[Recording] 🔴 Starting recording...');
+      const { blob, error, streamed, segments } = await this._doRecording({ downloadSegments: true, resumeCheckpoint });
+
+      // Download (streamed videos are already on disk, segments are downloaded as they are encoded)
+      // Videos to review are shown in the panel once the interface is restored
+      if (!streamed && !segments) {
+        if (this.options.reviewBeforeDownload && blob.type.startsWith('video/')) {
+          reviewBlob = blob;
+        } else {
+          this._downloadVideo(blob);
+        }
+      }
+
+      // Partial video kept after a failure: still report the error
+      if (error && error.name !== 'AbortError') {
+        this.options.onError(error);
+      }
     } catch (error) {
       if (error.name === 'AbortError' || error.message === 'Recording cancelled') {
         this._updateStatus('Cancelled', 'error');
@@ -6396,9 +7815,26 @@ class VideoExportControl {
       }
       this._hideProgress();
     } finally {
+      this._recordingRequested = false;
+      this.options.streamTo = previousStreamTo;
+      if (previousOptions) {
+        // The checkpoint settings only apply to the resumed recording
+        Object.assign(this.options, previousOptions);
+      }
       testBtn.disabled = false;
       recordBtn.innerHTML = '🔴 Record';
+      if (stopSaveBtn) stopSaveBtn.style.display = 'none';
+      if (pauseBtn) pauseBtn.style.display = 'none';
+      this._updatePauseButton();
       this._expandInterface();
+      if (reviewBlob) {
+        this._showReview(reviewBlob);
+      }
+
+      // A failed recording may be resumable, a finished one no longer is
+      if (this.options.checkpoints) {
+        this._showCheckpointBanner();
+      }
 
       // Always restore time
       if (maplibregl.restoreNow) {
@@ -6408,21 +7844,299 @@ class VideoExportControl {
   }
 
   /**
-     * Ensure camera is within configured constraints before recording
-     * If camera is outside bounds or zoom limits, animate it back to valid position
-     * @returns {Promise} Resolves when camera is within constraints
+     * Trigger a browser download of a recorded video
+     * @param {Blob} blob - Encoded video
+     * @param {string} [fileName] - File name (default: timestamped name)
      */
-  async _ensureCameraWithinConstraints() {
-    // Check if we have any constraints configured
-    if (!this.options.maxBounds && this.options.minZoom === null && this.options.maxZoom === null) {
-      console.log('[Constraints] No constraints configured, skipping camera check');
-      return;
-    }
-
-    console.log('[Constraints] Checking camera position against constraints...');
+  _downloadVideo(blob, fileName) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    const extension = MIME_TYPE_EXTENSIONS[blob.type] || 'webm';
+    a.download = fileName || this._getVideoFileName(extension);
+    a.click();
+  }
 
-    const currentCenter = this._map.getCenter();
-    const currentZoom = this._map.getZoom();
+  /**
+     * Bind the controls of the review section (player, trim, actions)
+     */
+  _bindReviewEvents() {
+    if (!this._panel) return;
+    const video = /** @type {HTMLVideoElement|null} */(this._panel.querySelector('#ve-review-video'));
+    const scrubber = asInput(this._panel.querySelector('#ve-review-scrubber'));
+    const playBtn = asButton(this._panel.querySelector('#ve-review-play'));
+    if (!video || !scrubber || !playBtn) return;
+
+    // Play within the trim range
+    playBtn.addEventListener('click', () => {
+      if (!this._review) return;
+      if (!video.paused) {
+        video.pause();
+        return;
+      }
+      if (video.currentTime < this._review.in || video.currentTime >= this._review.out) {
+        video.currentTime = this._review.in;
+      }
+      video.play();
+    });
+    video.addEventListener('play', () => { playBtn.innerHTML = '⏸️'; });
+    video.addEventListener('pause', () => { playBtn.innerHTML = '▶️'; });
+
+    video.addEventListener('timeupdate', () => {
+      if (!this._review) return;
+      if (!video.paused && video.currentTime >= this._review.out) {
+        video.pause();
+        video.currentTime = this._review.out;
+      }
+      this._updateReviewTime();
+    });
+
+    // Scrubber: thousandths of the duration
+    scrubber.addEventListener('input', () => {
+      if (!this._review) return;
+      video.currentTime = (parseInt(scrubber.value, 10) / 1000) * this._review.duration;
+    });
+
+    // Trim points at the current time (in stays before out)
+    this._panel.querySelector('#ve-review-set-in')?.addEventListener('click', () => {
+      if (!this._review) return;
+      this._review.in = Math.min(video.currentTime, this._review.out);
+      this._updateReviewTime();
+    });
+    this._panel.querySelector('#ve-review-set-out')?.addEventListener('click', () => {
+      if (!this._review) return;
+      this._review.out = Math.max(video.currentTime, this._review.in);
+      this._updateReviewTime();
+    });
+    this._panel.querySelector('#ve-review-reset-trim')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!this._review) return;
+      this._review.in = 0;
+      this._review.out = this._review.duration;
+      this._updateReviewTime();
+    });
+
+    this._panel.querySelector('#ve-review-download')?.addEventListener('click', () => this._downloadReview());
+    this._panel.querySelector('#ve-review-discard')?.addEventListener('click', () => {
+      this._closeReview();
+      this._updateStatus('Recording discarded', '');
+    });
+    this._panel.querySelector('#ve-review-rerecord')?.addEventListener('click', () => {
+      this._closeReview();
+      this._startRecording();
+    });
+  }
+
+  /**
+     * Show a finished recording in the panel (download, trim, discard or re-record)
+     * @param {Blob} blob - Encoded video
+     */
+  async _showReview(blob) {
+    const section = asHTMLElement(this._panel?.querySelector('#ve-review'));
+    const video = /** @type {HTMLVideoElement|null} */(this._panel?.querySelector('#ve-review-video'));
+    if (!section || !video) {
+      this._downloadVideo(blob);
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const review = { blob, url, duration: 0, in: 0, out: 0 };
+    this._review = review;
+
+    let duration;
+    try {
+      video.src = url;
+      await new Promise((resolve, reject) => {
+        video.onloadedmetadata = resolve;
+        video.onerror = () => reject(new Error('The browser can\'t play this video'));
+      });
+      if (this._review !== review) return; // Closed while loading
+
+      // WebM files without a duration element report Infinity, the packets give the real one
+      duration = video.duration;
+      if (!Number.isFinite(duration)) {
+        const { getVideoDuration } = await import('./video-trimmer.js');
+        duration = await getVideoDuration(blob);
+        if (this._review !== review) return;
+      }
+    } catch (error) {
+      // Not playable here: download it as without review
+      console.warn('[Review] Skipped:', error.message);
+      this._closeReview();
+      this._downloadVideo(blob);
+      return;
+    }
+    review.duration = duration;
+    review.out = duration;
+
+    section.style.display = '';
+    this._updateReviewTime();
+    this._panel.scrollTop = 0;
+    this._updateStatus('Review the video, then download or discard it', 'success');
+    console.log(`[Review] ${(blob.size / 1024 / 1024).toFixed(1)} MB, ${duration.toFixed(2)}s`);
+  }
+
+  /**
+     * Update the time, scrubber and trim range of the review section
+     */
+  _updateReviewTime() {
+    if (!this._review || !this._panel) return;
+    const { duration } = this._review;
+    const video = /** @type {HTMLVideoElement|null} */(this._panel.querySelector('#ve-review-video'));
+    const scrubber = asInput(this._panel.querySelector('#ve-review-scrubber'));
+    const time = this._panel.querySelector('#ve-review-time');
+    const trim = this._panel.querySelector('#ve-review-trim');
+    const currentTime = video ? Math.min(video.currentTime, duration) : 0;
+
+    if (scrubber && duration > 0) scrubber.value = String(Math.round((currentTime / duration) * 1000));
+    if (time) time.textContent = `${currentTime.toFixed(1)}s / ${duration.toFixed(1)}s`;
+    if (trim) {
+      const trimmed = this._review.in > 0 || this._review.out < duration;
+      trim.textContent = trimmed
+        ? `${this._review.in.toFixed(1)}s → ${this._review.out.toFixed(1)}s (${(this._review.out - this._review.in).toFixed(1)}s)`
+        : 'Full video';
+    }
+  }
+
+  /**
+     * Download the reviewed video, trimmed to the in/out points
+     */
+  async _downloadReview() {
+    const review = this._review;
+    if (!review) return;
+    const downloadBtn = asButton(this._panel?.querySelector('#ve-review-download'));
+    const preciseCheckbox = asInput(this._panel?.querySelector('#ve-review-precise'));
+
+    let blob = review.blob;
+    const trimmed = review.in > 0 || review.out < review.duration;
+    if (trimmed) {
+      if (downloadBtn) downloadBtn.disabled = true;
+      this._updateStatus('Trimming video...', 'recording');
+      try {
+        const { trimVideo } = await import('./video-trimmer.js');
+        const result = await trimVideo(blob, {
+          start: review.in,
+          end: review.out < review.duration ? review.out : Infinity,
+          precise: preciseCheckbox?.checked || false,
+          onProgress: (progress) => this._updateStatus(`Trimming video... ${Math.round(progress * 100)}%`, 'recording')
+        });
+        blob = result.blob;
+      } catch (error) {
+        console.error('[Review] Trim failed:', error);
+        this._updateStatus('Trim failed: ' + error.message, 'error');
+        this.options.onError(error);
+        return;
+      } finally {
+        if (downloadBtn) downloadBtn.disabled = false;
+      }
+    }
+
+    this._downloadVideo(blob);
+    this._updateStatus(trimmed ? 'Trimmed video downloaded' : 'Video downloaded', 'success');
+    this._closeReview();
+  }
+
+  /**
+     * Hide the review section and release the video
+     */
+  _closeReview() {
+    if (!this._review) return;
+    URL.revokeObjectURL(this._review.url);
+    this._review = null;
+
+    const section = asHTMLElement(this._panel?.querySelector('#ve-review'));
+    const video = /** @type {HTMLVideoElement|null} */(this._panel?.querySelector('#ve-review-video'));
+    if (video) {
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+    }
+    if (section) section.style.display = 'none';
+  }
+
+  /**
+     * Default file name of a recording
+     * @param {string} extension - File extension (without dot)
+     * @param {number|null} [part=null] - Segment number (adds -partNN)
+     * @param {Date} [date=new Date()] - Timestamp (shared by all parts of a recording)
+     * @returns {string} e.g. maplibre-video-2025-01-31T12-00-00-part01.webm
+     */
+  _getVideoFileName(extension, part = null, date = new Date()) {
+    const timestamp = date.toISOString().slice(0, 19).replace(/:/g, '-');
+    const suffix = part ? `-part${String(part).padStart(2, '0')}` : '';
+    return `maplibre-video-${timestamp}${suffix}.${extension}`;
+  }
+
+  /**
+     * Destroy an encoder (the WASM MP4 encoder uses delete() instead of destroy())
+     * Streaming encoders release their stream, so the recording waits for it
+     * @param {Object} encoder - Encoder instance
+     */
+  async _destroyEncoder(encoder) {
+    if (encoder.destroy) {
+      await encoder.destroy(); // WebM encoder
+      console.log('WebM encoder destroyed');
+    } else if (encoder.delete) {
+      encoder.delete(); // MP4 encoder
+      console.log('MP4 encoder deleted');
+    }
+  }
+
+  /**
+     * Ask the user where to save the recording (File System Access API)
+     * Must be called from a user gesture (e.g. the Record button click).
+     * @returns {Promise<FileSystemFileHandle>} Picked file, rejects with an AbortError if dismissed
+     */
+  async _pickOutputFile() {
+    const mimeType = FORMAT_MIME_TYPES[this.options.format] || 'video/webm';
+    const extension = MIME_TYPE_EXTENSIONS[mimeType];
+
+    // @ts-ignore - File System Access API (Chromium only)
+    return window.showSaveFilePicker({
+      suggestedName: this._getVideoFileName(extension),
+      types: [{
+        description: `${extension.toUpperCase()} file`,
+        accept: { [mimeType]: [`.${extension}`] }
+      }]
+    });
+  }
+
+  /**
+     * Open the writable stream of the streamTo option
+     * @returns {Promise<WritableStream|null>} Stream to write the file to, null when not streaming
+     */
+  async _openOutputStream() {
+    const { streamTo } = this.options;
+    if (!streamTo) return null;
+
+    if (streamTo instanceof WritableStream) {
+      console.log('[Recording] 💾 Streaming output to the provided WritableStream');
+      return streamTo;
+    }
+
+    if (typeof streamTo.createWritable === 'function') {
+      console.log(`[Recording] 💾 Streaming output to file: ${streamTo.name}`);
+      return streamTo.createWritable();
+    }
+
+    throw new Error('streamTo must be a FileSystemFileHandle or a WritableStream');
+  }
+
+  /**
+     * Ensure camera is within configured constraints before recording
+     * If camera is outside bounds or zoom limits, animate it back to valid position
+     * @returns {Promise} Resolves when camera is within constraints
+     */
+  async _ensureCameraWithinConstraints() {
+    // Check if we have any constraints configured
+    if (!this.options.maxBounds && this.options.minZoom === null && this.options.maxZoom === null) {
+      console.log('[Constraints] No constraints configured, skipping camera check');
+      return;
+    }
+
+    console.log('[Constraints] Checking camera position against constraints...');
+
+    const currentCenter = this._map.getCenter();
+    const currentZoom = this._map.getZoom();
     let needsCorrection = false;
     let targetCenter = currentCenter;
     let targetZoom = currentZoom;
@@ -6477,6 +8191,119 @@ class VideoExportControl {
     }
   }
 
+  /**
+     * Plan how frames are rendered for this resolution: supersampling factor and
+     * tile grid, within the canvas limits of the map and the GPU
+     * @param {number} width - Video width
+     * @param {number} height - Video height
+     * @returns {{supersampling: number, columns: number, rows: number}} Plan (1×1 grid = not tiled)
+     */
+  _getRenderPlan(width, height) {
+    const requested = Math.min(3, Math.max(1, Math.round(this.options.supersampling || 1)));
+    const tiling = this.options.tiledRendering;
+
+    // Largest canvas rendered at full pixel ratio (MapLibre maxCanvasSize and GPU drawing buffer)
+    const gl = this._map.painter.context.gl;
+    const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const maxRenderbufferSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+    // @ts-ignore - _maxCanvasSize is private
+    const [maxCanvasWidth, maxCanvasHeight] = this._map._maxCanvasSize || [Infinity, Infinity];
+    const maxWidth = Math.min(maxViewportWidth, maxRenderbufferSize, maxCanvasWidth);
+    const maxHeight = Math.min(maxViewportHeight, maxRenderbufferSize, maxCanvasHeight);
+
+    // Tiles multiply the limit on each axis
+    const maxTiles = tiling === false ? 1 : MAX_TILES_PER_AXIS;
+    let factor = requested;
+    while (factor > 1 && (width * factor > maxWidth * maxTiles || height * factor > maxHeight * maxTiles)) {
+      factor--;
+    }
+
+    if (factor < requested) {
+      console.warn(`⚠️ Supersampling ${requested}× needs a ${width * requested}×${height * requested} canvas (max ${maxWidth * maxTiles}×${maxHeight * maxTiles}), using ${factor}×`);
+    }
+
+    // Split the axes that don't fit (or both when tiles are forced)
+    const renderWidth = width * factor;
+    const renderHeight = height * factor;
+    const columns = tiling === true || renderWidth > maxWidth ? maxTiles : 1;
+    const rows = tiling === true || renderHeight > maxHeight ? maxTiles : 1;
+
+    if (renderWidth > maxWidth * columns || renderHeight > maxHeight * rows) {
+      if (tiling === false) {
+        console.warn(`⚠️ ${renderWidth}×${renderHeight} exceeds the canvas limit (${maxWidth}×${maxHeight}), the map will render at a lower resolution (enable tiledRendering)`);
+      } else {
+        throw new Error(`${renderWidth}×${renderHeight} is too large for this GPU, even in tiles (max ${maxWidth * maxTiles}×${maxHeight * maxTiles})`);
+      }
+    }
+
+    return { supersampling: factor, columns, rows };
+  }
+
+  /**
+     * Collect the attribution of the sources used by the map (like the attribution control)
+     * @returns {string} Plain text attributions joined with ' | '
+     */
+  _collectAttribution() {
+    const style = this._map.getStyle();
+    if (!style) return '';
+
+    // Sources displayed by a layer, and the terrain source
+    const sourceIds = new Set((style.layers || []).map(layer => layer.source).filter(Boolean));
+    if (style.terrain?.source) sourceIds.add(style.terrain.source);
+
+    const attributions = [];
+    for (const sourceId of sourceIds) {
+      // Loaded sources also have the attribution of their TileJSON
+      const html = this._map.getSource(sourceId)?.attribution || style.sources?.[sourceId]?.attribution;
+      if (!html) continue;
+
+      // Attributions are HTML (links, &copy;...)
+      const text = new DOMParser().parseFromString(html, 'text/html').body.textContent.replace(/\s+/g, ' ').trim();
+      if (text && !attributions.includes(text)) {
+        attributions.push(text);
+      }
+    }
+
+    return attributions.join(' | ');
+  }
+
+  /**
+     * Normalize the watermark option to an object
+     * @param {string|Blob|ImageBitmap|Object} watermark - Image or {src, anchor, margin, scale, opacity}
+     * @returns {Object} {src, ...settings}
+     */
+  _normalizeWatermark(watermark) {
+    if (typeof watermark === 'string' || watermark instanceof Blob || typeof watermark.width === 'number') {
+      return { src: watermark };
+    }
+    if (!watermark.src) {
+      throw new Error('Watermark settings need a src (URL, File/Blob or ImageBitmap)');
+    }
+    return watermark;
+  }
+
+  /**
+     * Get the band kept by the crop mode of the cinematic bars
+     * @param {number} width - Map width while recording
+     * @param {number} height - Map height while recording
+     * @param {string} aspectRatio - Aspect ratio ('none', '2.39', '1.85', '2.33')
+     * @returns {{top: number, height: number}|null} Band (top row and height), or null when bars are painted or not needed
+     */
+  _getCinematicCrop(width, height, aspectRatio) {
+    if (aspectRatio === 'none' || this.options.cinematicBarsMode !== 'crop') return null;
+
+    // Video height for the aspect ratio (multiple of 16, like the resolutions)
+    const cropHeight = Math.round(width / parseFloat(aspectRatio) / 16) * 16;
+    if (cropHeight >= height) {
+      console.warn(`🎬 Cinematic crop skipped: aspect ratio ${aspectRatio}:1 requires height > ${cropHeight}px (current: ${height}px)`);
+      return null;
+    }
+
+    const top = Math.floor((height - cropHeight) / 2);
+    console.log(`🎬 Cinematic crop: ${aspectRatio}:1, video ${width}×${cropHeight} from rows ${top}-${top + cropHeight} of ${height}`);
+    return { top, height: cropHeight };
+  }
+
   /**
      * Apply cinematic bars to pixel buffer
      * @param {Uint8Array} pixels - RGBA pixel buffer
@@ -6541,8 +8368,94 @@ class VideoExportControl {
     }
   }
 
-  async _doRecording() {
-    if (!this._panel) return;
+  /**
+     * Settings needed to render the same frames again in another session
+     * @param {Object} params - Resolved recording parameters
+     * @param {number} params.width - Video width
+     * @param {number} params.height - Video height
+     * @param {number} params.bitrate - Bitrate in kbps
+     * @param {Object} params.startCamera - Camera before the animation started
+     * @param {number} params.totalFrames - Frames of the complete video
+     * @returns {Object} Serializable recipe
+     */
+  _createCheckpointRecipe({ width, height, bitrate, startCamera, totalFrames }) {
+    const {
+      animation, duration, loop, keyframes, keyframeSmoothing, waypoints,
+      speedMultiplier, fps, format, cinematicBars, cinematicBarsMode, waitForTiles,
+      supersampling, tiledRendering, motionBlur, motionBlurShutter, transitions,
+      attribution, attributionStyle, watermark,
+      maxBounds, minZoom, maxZoom, strictBounds, encoderOptions
+    } = this.options;
+
+    // JSON round trip drops what can't be stored (custom animation functions)
+    const options = JSON.parse(JSON.stringify({
+      animation: typeof animation === 'string' ? animation : null,
+      duration,
+      loop,
+      keyframes,
+      keyframeSmoothing,
+      waypoints,
+      speedMultiplier,
+      fps,
+      format,
+      resolution: { width, height },
+      bitrate,
+      cinematicBars,
+      cinematicBarsMode,
+      waitForTiles,
+      supersampling,
+      tiledRendering,
+      motionBlur,
+      motionBlurShutter,
+      transitions,
+      attribution,
+      attributionStyle,
+      // Images (File, ImageBitmap) can't be stored, only URLs
+      watermark: typeof watermark === 'string' || typeof watermark?.src === 'string' ? watermark : null,
+      maxBounds,
+      minZoom,
+      maxZoom,
+      strictBounds,
+      encoderOptions
+    }));
+
+    return { options, startCamera, totalFrames };
+  }
+
+  /**
+     * Restore the settings of a checkpoint recipe
+     * @param {Object} recipe - Recipe saved with the checkpoint
+     * @returns {Object} Previous values of the restored options (assign them back once the recording ends)
+     */
+  _applyCheckpointRecipe(recipe) {
+    const { animation, ...options } = recipe.options;
+    const previousOptions = {};
+    for (const key of Object.keys(recipe.options)) {
+      previousOptions[key] = this.options[key];
+    }
+    Object.assign(this.options, options);
+
+    // Custom animation functions can't be stored: keep the current one
+    if (animation) {
+      this.options.animation = animation;
+    }
+
+    this._map.jumpTo(recipe.startCamera);
+    console.log('[Checkpoint] Recording settings restored:', recipe.options);
+    return previousOptions;
+  }
+
+  /**
+     * Run the capture and encoding pipeline with the current options
+     * @param {Object} [options={}]
+     * @param {boolean} [options.downloadSegments=false] - Download each segment when it is encoded (panel)
+     * @param {Object} [options.resumeCheckpoint] - Checkpoint to continue from (see resumeRecording()),
+     *   its settings must already be applied (see _applyCheckpointRecipe())
+     * @returns {Promise<{blob: Blob|null, frameCount: number, stats: Object, partial: boolean, truncated: boolean, streamed: boolean, segments: number, error?: Error}>}
+     *   Encoded video (last part when segmented, null for a plain stream) and stats
+     *   (partial when stopped early, truncated at the GIF/WebP size cap, error when kept after a cancel/failure)
+     */
+  async _doRecording({ downloadSegments = false, resumeCheckpoint = null } = {}) {
     // Start real-time performance measurement
     const realStartTime = performance.now();
 
@@ -6557,15 +8470,30 @@ class VideoExportControl {
     this._isRecording = true;
     console.log('[Recording] 🔒 Recording flag SET - layer updates blocked');
 
-    // Get resolution
+    // Get resolution (size of the map while recording)
     const resolution = this._getResolution();
-    const { width, height } = resolution;
+    const { width } = resolution;
+    const mapHeight = resolution.height;
 
     // Get cinematic bars setting
-    const cinematicBarsSelect = asSelect(this._panel.querySelector('#ve-cinematic-bars'));
-    const cinematicBars = cinematicBarsSelect ? cinematicBarsSelect.value : 'none';
+    const cinematicBars = this.options.cinematicBars || 'none';
     console.log('🎬 Cinematic bars:', cinematicBars);
 
+    // Crop mode: the video only keeps the band of the aspect ratio (height = video height from here)
+    const cinematicCrop = this._getCinematicCrop(width, mapHeight, cinematicBars);
+    const height = cinematicCrop ? cinematicCrop.height : mapHeight;
+
+    // Supersampling: same view rendered with more pixels (pixel ratio), downscaled on capture
+    // Tiled rendering: frames beyond the canvas limit are rendered in tiles by a helper map
+    const { supersampling, columns, rows } = this._getRenderPlan(width, mapHeight);
+    const tiled = columns * rows > 1;
+    const renderWidth = width * supersampling;
+    const renderHeight = mapHeight * supersampling;
+
+    // Rows of the render read for the video (bottom-up, the whole render without crop)
+    const bandY = cinematicCrop ? (mapHeight - cinematicCrop.top - height) * supersampling : 0;
+    const bandHeight = height * supersampling;
+
     // Calculate bitrate if auto
     let bitrate = this.options.bitrate;
     if (bitrate === 'auto') {
@@ -6614,11 +8542,36 @@ class VideoExportControl {
       pitch: this._map.getPitch(),
       bearing: this._map.getBearing()
     };
+    let sizeRestored = this.options.resolution === 'auto';
+    // @ts-ignore - _overridePixelRatio is private (null = follow devicePixelRatio)
+    const originalPixelRatio = this._map._overridePixelRatio ?? null;
+    let pixelRatioRestored = supersampling === 1 && !tiled;
+
+    // Restore original container size, pixel ratio and camera (only once)
+    const restoreSize = () => {
+      if (!pixelRatioRestored) {
+        pixelRatioRestored = true;
+        this._map.setPixelRatio(originalPixelRatio);
+      }
+      if (sizeRestored) return;
+      sizeRestored = true;
+      container.style.width = originalSize.width;
+      container.style.height = originalSize.height;
+      this._map.resize();
+
+      // Restore camera position after resize
+      this._map.jumpTo({
+        center: originalCamera.center,
+        zoom: originalCamera.zoom,
+        pitch: originalCamera.pitch,
+        bearing: originalCamera.bearing
+      });
+    };
 
     // Resize if needed
     if (this.options.resolution !== 'auto') {
       container.style.width = width + 'px';
-      container.style.height = height + 'px';
+      container.style.height = mapHeight + 'px';
       this._map.resize();
 
       // Restore camera position after resize
@@ -6632,6 +8585,18 @@ class VideoExportControl {
       await new Promise(resolve => setTimeout(resolve, 500)); // Wait for resize
     }
 
+    // Render the supersampled frame (canvas = container size × factor)
+    if (tiled) {
+      // The main map only drives the camera, a cheap low-resolution render is enough
+      this._map.setPixelRatio(0.25);
+      console.log(`🧩 Tiled rendering: ${columns}×${rows} tiles stitched to ${renderWidth}×${renderHeight}${supersampling > 1 ? `, downscaled to ${width}×${height}` : ''}`);
+      await new Promise(resolve => setTimeout(resolve, 100)); // Wait for resize
+    } else if (supersampling > 1) {
+      this._map.setPixelRatio(supersampling);
+      console.log(`🔍 Supersampling ${supersampling}×: rendering ${renderWidth}×${renderHeight}, downscaled to ${width}×${height}`);
+      await new Promise(resolve => setTimeout(resolve, 100)); // Wait for resize
+    }
+
     // Hide waypoint markers during recording (they are DOM elements that would appear in the video)
     this._hideWaypointMarkers();
 
@@ -6642,13 +8607,62 @@ class VideoExportControl {
     // Store real recording parameters for accurate size estimation
     this._recordingParams = { width, height, fps: this.options.fps, bitrate };
 
+    // Recording can be cancelled or stopped from now on (see cancel() and stop())
+    const abortController = new AbortController();
+    this._recordingAbortController = abortController;
+    this._recordingStopRequested = false;
+    const checkCancelled = () => {
+      if (abortController.signal.aborted) {
+        throw new DOMException('Recording cancelled', 'AbortError');
+      }
+    };
+
     // Create encoder for the selected format
     let encoder = null;
+    let outputStream = null;
+
+    // Checkpoints: encoded packets are collected here and saved with the progress
+    // (one packet per frame, in order: the stored packet count is the completed frame count)
+    let checkpoint = null;
+    let checkpointPackets = [];
+    let checkpointPacketIndex = 0;
+    let checkpointFinished = false;
+
+    // Helper map of the tiled rendering (removed with the other recording resources)
+    let tileRenderer = null;
     try {
+      // Streamed output: encoders that support it write the file as they go
+      outputStream = await this._openOutputStream();
+      this._outputStream = outputStream;
+
+      if (this.options.checkpoints || resumeCheckpoint) {
+        const resumePackets = resumeCheckpoint ? await this._getCheckpointStore().loadPackets(resumeCheckpoint) : null;
+        checkpointPacketIndex = resumePackets ? resumePackets.length : 0;
+        this._checkpointEncoding = {
+          onEncodedPacket: (packet, meta) => {
+            if (!checkpoint) return;
+            checkpointPackets.push({
+              index: checkpointPacketIndex++,
+              data: packet.data,
+              type: packet.type,
+              timestamp: packet.timestamp,
+              duration: packet.duration,
+              decoderConfig: meta?.decoderConfig
+            });
+          },
+          resumePackets
+        };
+      }
+
       // Try loading encoder for selected format
       try {
         encoder = await this._loadEncoderForFormat(width, height, this.options.fps, bitrate);
       } catch (encoderError) {
+        // A resumed recording must continue with the codec of its stored packets
+        if (resumeCheckpoint) {
+          throw encoderError;
+        }
+
         // Check if it's a CSP error when trying to load MP4
         if (this.options.format === 'mp4' && (encoderError.name === 'EvalError' || encoderError.message.includes('CSP'))) {
           console.warn('⚠️ MP4 encoder blocked by Content Security Policy (CSP)');
@@ -6672,6 +8686,14 @@ class VideoExportControl {
             this.options.format = 'webm-vp8';
             encoder = await this._loadEncoderForFormat(width, height, this.options.fps, bitrate);
           }
+        } else if (this.options.format === 'av1') {
+          // AV1 failed (e.g. unsupported resolution), fallback to VP9
+          console.warn('⚠️ AV1 encoder failed, falling back to VP9...', encoderError);
+          this._updateStatus('AV1 failed - using VP9', 'warning');
+          await new Promise(resolve => setTimeout(resolve, 2000));
+
+          this.options.format = 'webm-vp9';
+          encoder = await this._loadEncoderForFormat(width, height, this.options.fps, bitrate);
         } else if (this.options.format === 'webm-vp9') {
           // VP9 failed, fallback to VP8
           console.warn('⚠️ WebM VP9 encoder failed, falling back to VP8...');
@@ -6687,11 +8709,76 @@ class VideoExportControl {
       }
 
       this._encoder = encoder; // Store for cleanup if needed
+      checkCancelled();
+
+      // Audio (mixed at the end, once the final video duration is known)
+      const soundtrack = normalizeAudioSource(this.options.soundtrack);
+      const waypointCue = normalizeAudioSource(this.options.waypointCue);
+      const audioCues = (this.options.audioCues || []).map(cue => ({ ...normalizeAudioSource(cue), time: cue.time }));
+      if (this._getAudioTrackConfig() && !encoder.hasAudio) {
+        console.warn(`⚠️ Audio is not supported by the ${this.options.format} encoder (WebCodecs VP9, AV1 or MP4 needed), exporting without audio`);
+      }
+
+      // Segmentation: long recordings are split into several files (each part starts with a keyframe)
+      const { maxSegmentDuration, maxSegmentSize } = this.options;
+      const segmentFrameLimit = maxSegmentDuration ? Math.max(1, Math.round((maxSegmentDuration / 1000) * this.options.fps)) : Infinity;
+      const segmentByteLimit = maxSegmentSize ? maxSegmentSize * 1024 * 1024 : Infinity;
+      let segmented = segmentFrameLimit !== Infinity || segmentByteLimit !== Infinity;
+      if (segmented && outputStream) {
+        // A stream is a single file, and it is limited by disk space anyway
+        console.warn('⚠️ Segmentation is disabled when streaming to disk');
+        segmented = false;
+      }
+      const segmentDate = new Date(); // Shared timestamp in the part file names
+      let segmentCount = 0;
+      let segmentStartFrame = 0;
+      let segmentedBytes = 0; // Size of the parts already delivered
+
+      // Overlays burned into the frames (after cinematic bars, so captions stay visible)
+      const compositor = new FrameCompositor(width, height);
+      const { dwell: captionDwell = 3000, ...captionStyle } = this.options.captionStyle || {};
+      const captionOverlay = this.options.captions
+        ? compositor.add(new CaptionOverlay({ font: this._selectedFont, ...captionStyle }))
+        : null;
+      const telemetryOverlay = this.options.telemetryHud
+        ? compositor.add(new TelemetryOverlay(this.options.telemetryHudStyle))
+        : null;
+
+      // Attribution of the map data (text of the style sources, unless given)
+      if (this.options.attribution) {
+        const { text, ...attributionStyle } = this.options.attributionStyle || {};
+        const attributionText = text || this._collectAttribution();
+        if (attributionText) {
+          compositor.add(new AttributionOverlay(attributionText, attributionStyle));
+          console.log(`[Attribution] ${attributionText}`);
+        } else {
+          console.warn('⚠️ No attribution found in the style sources (set attributionStyle.text)');
+        }
+      }
+
+      // Watermark on top of everything (image loaded once for the whole recording)
+      if (this.options.watermark) {
+        const { src, ...watermarkStyle } = this._normalizeWatermark(this.options.watermark);
+        const watermarkImage = await loadOverlayImage(src);
+        compositor.add(new WatermarkOverlay(watermarkImage, watermarkStyle));
+        console.log(`[Watermark] ${watermarkImage.width}×${watermarkImage.height} image, ${watermarkStyle.anchor || 'bottom-right'}`);
+        checkCancelled();
+      }
+
+      // Tiled rendering: the helper map copies the style now (waypoints layer included)
+      if (tiled) {
+        this._updateStatus('Preparing tiled rendering...', 'recording');
+        tileRenderer = new TileRenderer(this._map, { width, height: mapHeight, columns, rows, pixelRatio: supersampling });
+        await tileRenderer.init();
+        checkCancelled();
+      }
 
       // Setup capture
       const gl = this._map.painter.context.gl;
-      let ptr = null; // Only used for MP4
-      if (this.options.format === 'mp4') {
+      // WASM MP4 encoder reads frames directly from its memory (bottom-up, flipped by the encoder)
+      const usesPointerCapture = typeof encoder.getRGBPointer === 'function';
+      let ptr = null; // Only used for WASM MP4
+      if (usesPointerCapture) {
         ptr = encoder.getRGBPointer();
       }
       let frameCount = 0;
@@ -6706,19 +8793,50 @@ class VideoExportControl {
       console.log(`Time advance: ${timeAdvance.toFixed(2)}ms per frame (${this.options.speedMultiplier}x speed at ${this.options.fps} fps)`);
       console.log(`⏳ Wait for tiles: ${this.options.waitForTiles ? 'enabled (slower, better quality)' : 'disabled (faster)'}`);
 
+      // Camera the animation starts from (saved with checkpoints)
+      const startCamera = {
+        center: this._map.getCenter().toArray(),
+        zoom: this._map.getZoom(),
+        bearing: this._map.getBearing(),
+        pitch: this._map.getPitch()
+      };
+
       // Get animation with optional setup phase
-      const { setup, animation } = await this._getAnimation();
+      const { setup, animation, cameraAt, duration: animationDuration } = await this._getAnimation();
+
+      // Checkpoints need frames that can be rendered again (cameraAt) and packets from a WebCodecs encoder
+      let useCheckpoints = this._checkpointEncoding !== null;
+      if (useCheckpoints) {
+        let reason = null;
+        if (!cameraAt) {
+          reason = 'animation is not a deterministic cameraAt timeline';
+        } else if (!encoder.supportsCheckpoints) {
+          reason = `${this.options.format} encoder does not expose encoded packets (WebCodecs VP9, AV1 or MP4 needed)`;
+        } else if (outputStream || segmented) {
+          reason = 'not available when streaming or segmenting';
+        } else if (!CheckpointStore.isSupported()) {
+          reason = 'IndexedDB is not available';
+        }
+
+        if (reason && resumeCheckpoint) {
+          throw new Error(`Cannot resume recording: ${reason}`);
+        }
+        if (reason) {
+          console.warn(`⚠️ Checkpoints disabled: ${reason}`);
+          useCheckpoints = false;
+        }
+      }
+
+      // Frame to start from (resumed recordings continue after the stored packets)
+      const startFrame = resumeCheckpoint ? checkpointPacketIndex : 0;
+      frameCount = startFrame;
 
       // Execute setup phase BEFORE freezing time (e.g., camera repositioning)
       if (setup) {
         console.log('🎬 Executing animation setup phase (before time freeze)...');
         this._updateStatus('Preparing animation...', 'recording');
         await setup(this._map, this, {
-          checkAbort: () => {
-            if (this._animationController.aborted) {
-              throw new Error('Recording cancelled');
-            }
-          },
+          checkAbort: checkCancelled,
           updateStatus: (msg) => {
             if (msg) this._updateStatus(msg, 'recording');
           }
@@ -6726,6 +8844,8 @@ class VideoExportControl {
         console.log('✓ Setup phase complete');
       }
 
+      checkCancelled();
+
       // Freeze time AFTER setup
       maplibregl.setNow(virtualTime);
 
@@ -6757,7 +8877,98 @@ class VideoExportControl {
       };
 
       // Calculate recording duration (needed for metrics later)
-      let recordingDuration = this.options.duration / this.options.speedMultiplier;
+      let recordingDuration = animationDuration / this.options.speedMultiplier;
+
+      // Set when the capture ends before the last frame (stop() or keepPartialVideo)
+      let partial = false;
+      let interruptionError = null;
+
+      // Animated images stop growing at their size cap: capturing more frames would be wasted
+      let truncated = false;
+      const sizeLimitReached = () => encoder.sizeLimitReached === true;
+
+      // Hold the capture while paused (virtual time does not advance, encoder stays open)
+      let pausedTime = 0;
+      const waitWhilePaused = async () => {
+        if (!this._recordingPaused) return;
+        const pauseStart = performance.now();
+        while (this._recordingPaused) {
+          await this._recordingResumePromise;
+        }
+        pausedTime += performance.now() - pauseStart;
+        console.log(`▶️ Capture resumed after ${((performance.now() - pauseStart) / 1000).toFixed(1)}s pause`);
+      };
+
+      const mimeType = FORMAT_MIME_TYPES[this.options.format] || 'video/webm';
+
+      // Finalize the current encoder: mix its audio and get the file (null when streamed)
+      const encodeSegment = async (isLast) => {
+        const startTime = (segmentStartFrame / this.options.fps) * 1000;
+        const duration = ((frameCount - segmentStartFrame) / this.options.fps) * 1000;
+
+        // Mix soundtrack and cues to the final duration (the soundtrack only fades out at the very end)
+        if (encoder.hasAudio) {
+          this._updateStatus('Mixing audio...', 'recording');
+          const audioBuffer = await mixAudio({
+            duration,
+            startTime,
+            soundtrack: soundtrack && !isLast ? { ...soundtrack, fadeOut: 0 } : soundtrack,
+            cues: audioCues
+          });
+          await encoder.addAudio(audioBuffer);
+        }
+
+        const videoData = await encoder.end();
+        return videoData !== null ? new Blob([videoData], { type: mimeType }) : null;
+      };
+
+      // Hand a finished part over (onSegment, download from the panel)
+      const deliverSegment = (blob, isLast) => {
+        segmentCount++;
+        const extension = MIME_TYPE_EXTENSIONS[mimeType] || 'webm';
+        const info = {
+          index: segmentCount,
+          fileName: this._getVideoFileName(extension, segmentCount, segmentDate),
+          startFrame: segmentStartFrame,
+          frameCount: frameCount - segmentStartFrame,
+          startTime: (segmentStartFrame / this.options.fps) * 1000,
+          duration: ((frameCount - segmentStartFrame) / this.options.fps) * 1000,
+          last: isLast
+        };
+        segmentedBytes += blob.size;
+
+        console.log(`🎞️ Segment ${info.index}: ${info.fileName} (${info.frameCount} frames, ${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
+        this.options.onSegment(blob, info);
+        if (downloadSegments) {
+          this._downloadVideo(blob, info.fileName);
+        }
+      };
+
+      // Current part reached a limit (size from the encoder, or estimated from the bitrate)
+      // WebCodecs encoders count their packets: an in-memory MP4 is only written when finalized
+      const isSegmentFull = () => {
+        const segmentFrames = frameCount - segmentStartFrame;
+        if (segmentFrames === 0) return false;
+        if (segmentFrames >= segmentFrameLimit) return true;
+
+        const segmentBytes = encoder.encodedBytes ?? encoder.bytesWritten ?? (segmentFrames / this.options.fps) * bitrate * 1000 / 8;
+        return segmentBytes >= segmentByteLimit;
+      };
+
+      // Close the current part and continue in a new encoder
+      const startNextSegment = async () => {
+        this._updateStatus(`Saving part ${segmentCount + 1}...`, 'recording');
+        const blob = await encodeSegment(false);
+        deliverSegment(blob, false);
+
+        await this._destroyEncoder(encoder);
+        encoder = await this._loadEncoderForFormat(width, height, this.options.fps, bitrate);
+        this._encoder = encoder;
+        if (usesPointerCapture) {
+          ptr = encoder.getRGBPointer();
+        }
+        segmentStartFrame = frameCount;
+      };
 
       // Single capture loop that optionally waits for tiles
       {
@@ -6766,9 +8977,10 @@ class VideoExportControl {
         // If speedMultiplier = 2 (fast), we need 2x fewer frames
 
         // Add extra time for loop return if enabled (update shared variable)
-        if (this.options.loop) {
+        // Deterministic timelines only need it for the smooth return (instant loop ends on the last frame)
+        if (this.options.loop === 'smooth' || (this.options.loop && !cameraAt)) {
           // Add maximum return duration (2s or 20% of duration, whichever is less)
-          const returnDuration = Math.min(2000, this.options.duration * 0.2);
+          const returnDuration = Math.min(2000, animationDuration * 0.2);
           recordingDuration += returnDuration / this.options.speedMultiplier;
           console.log('Loop enabled, adding', returnDuration, 'ms for return. Total duration:', recordingDuration);
         }
@@ -6776,116 +8988,393 @@ class VideoExportControl {
         const targetFrames = Math.floor((recordingDuration / 1000) * this.options.fps);
 
         // Initialize progress display
-        this._updateProgress(0, targetFrames, bitrate, recordingDuration);
+        this._updateProgress(frameCount, targetFrames, bitrate, recordingDuration);
 
-        // Start animation (don't await - let it run in background)
-        this._updateStatus('Recording animation...', 'recording');
+        // Start saving progress (a resumed recording keeps its checkpoint)
+        if (useCheckpoints) {
+          try {
+            checkpoint = resumeCheckpoint || await this._getCheckpointStore().create(
+              this._createCheckpointRecipe({ width, height: mapHeight, bitrate, startCamera, totalFrames: targetFrames })
+            );
+          } catch (error) {
+            console.warn('⚠️ Checkpoints disabled: could not create checkpoint', error);
+          }
+        }
 
-        // Launch animation and track when it's complete
-        let animationComplete = false;
-        this._animationController.run(this._map, animation, {
-          updateStatus: (msg) => {
-            if (msg) this._updateStatus(msg, 'recording');
+        // Persist the packets encoded so far with the matching progress
+        // (a storage failure only disables checkpoints, the recording goes on)
+        const saveCheckpoint = async () => {
+          const packets = checkpointPackets;
+          checkpointPackets = [];
+          const frameIndex = checkpointPacketIndex;
+
+          try {
+            await this._getCheckpointStore().save(checkpoint, packets, {
+              frameIndex,
+              camera: frameIndex > 0 ? cameraAt((frameIndex - 1) * timeAdvance) : null
+            });
+          } catch (error) {
+            console.warn('⚠️ Checkpoints disabled: could not save progress', error);
+            this._getCheckpointStore().delete(checkpoint).catch(() => {});
+            checkpoint = null;
+          }
+        };
+
+        // Transitions (frame counts), the fade out ends on the last planned frame
+        const { fadeIn = 0, fadeOut = 0, crossfade = 0 } = this.options.transitions || {};
+        const fadeInFrames = Math.round((fadeIn / 1000) * this.options.fps);
+        const fadeOutFrames = Math.round((fadeOut / 1000) * this.options.fps);
+        const crossfadeFrames = Math.round((crossfade / 1000) * this.options.fps);
+        let fadeOutEnd = targetFrames;
+
+        // Crossfades mix the last frame before a new segment into the next frames
+        const lastFrame = crossfadeFrames > 0 ? new Uint8Array(width * height * 4) : null;
+        const crossfadeFrame = crossfadeFrames > 0 ? new Uint8Array(width * height * 4) : null;
+        let crossfadeStart = -1;
+
+        // Everything drawn over the map frame (after cinematic bars): crossfade, overlays, fades
+        const composeFrame = (pixels, bottomUp) => {
+          if (crossfadeStart >= 0) {
+            const progress = (frameCount - crossfadeStart + 1) / (crossfadeFrames + 1);
+            if (progress < 1) {
+              blendFrames(pixels, crossfadeFrame, 1 - progress);
+            } else {
+              crossfadeStart = -1;
+            }
           }
-        }).then(() => {
-          animationComplete = true;
-          console.log('🎬 Animation wrapper complete (including return)');
-        }).catch(error => {
-          if (error.name !== 'AbortError') {
-            console.error('Animation error:', error);
+          if (lastFrame) {
+            lastFrame.set(pixels);
           }
-          animationComplete = true;
-        });
 
-        // Small delay to let animation start
-        await new Promise(resolve => setTimeout(resolve, 100));
+          // Burn overlays (captions, HUD, attribution, watermark)
+          if (!compositor.isEmpty) {
+            compositor.apply(pixels, (frameCount / this.options.fps) * 1000, { bottomUp });
+          }
 
-        // Single capture loop - continue until animation is complete BUT limit frames
-        try {
-          // eslint-disable-next-line no-unmodified-loop-condition -- animationComplete is modified asynchronously in Promise callbacks above
-          while (!animationComplete && frameCount < targetFrames) {
-            // Advance time
-            virtualTime += timeAdvance;
-            maplibregl.setNow(virtualTime);
-            this._map.triggerRepaint();
-
-            // Wait for tiles if option enabled
-            if (this.options.waitForTiles) {
-              await waitForTilesLoaded();
+          // Fade from black (first frame black) and to black (last frame black)
+          let level = 1;
+          if (frameCount < fadeInFrames) {
+            level = frameCount / fadeInFrames;
+          }
+          if (fadeOutFrames > 0 && frameCount >= fadeOutEnd - fadeOutFrames) {
+            level = Math.min(level, Math.max(0, (fadeOutEnd - 1 - frameCount) / fadeOutFrames));
+          }
+          if (level < 1) {
+            fadeFrame(pixels, level);
+          }
+        };
+
+        // New animation segment: crossfade from the last captured frame
+        const startCrossfade = () => {
+          if (!crossfadeFrame || frameCount === 0) return;
+          crossfadeFrame.set(lastFrame);
+          crossfadeStart = frameCount;
+        };
+
+        // Motion blur: sub-frames spread over the shutter interval, summed then averaged
+        const motionBlurSamples = Math.min(64, Math.max(1, Math.round(this.options.motionBlur || 1)));
+        const shutterTime = timeAdvance * Math.min(1, Math.max(0, this.options.motionBlurShutter));
+        const sampleBuffer = motionBlurSamples > 1 ? new Uint8Array(renderWidth * bandHeight * 4) : null;
+        const accumulation = motionBlurSamples > 1 ? new Uint16Array(renderWidth * bandHeight * 4) : null;
+
+        // Supersampled renders are read here, then downscaled to the video size
+        const renderBuffer = supersampling > 1 ? new Uint8Array(renderWidth * bandHeight * 4) : null;
+
+        // Tiles always cover the whole render, the band is copied from it in crop mode
+        const tiledFrame = tileRenderer && cinematicCrop ? new Uint8Array(renderWidth * renderHeight * 4) : null;
+        if (motionBlurSamples > 1) {
+          console.log(`🌀 Motion blur: ${motionBlurSamples} sub-frames over ${shutterTime.toFixed(2)}ms per frame`);
+        }
+
+        // Render the map at the current virtual time
+        const renderFrame = async () => {
+          this._map.triggerRepaint();
+
+          // Wait for tiles if option enabled
+          if (this.options.waitForTiles) {
+            await waitForTilesLoaded();
+          }
+
+          // Wait for render
+          await new Promise(resolve => this._map.once('render', resolve));
+        };
+
+        // Read the video band of the current render (bottom-up), stitched from tiles in tiled mode
+        const readRender = async (target) => {
+          if (tiledFrame) {
+            await tileRenderer.render(tiledFrame, { waitForTiles: this.options.waitForTiles });
+            target.set(tiledFrame.subarray(bandY * renderWidth * 4, (bandY + bandHeight) * renderWidth * 4));
+          } else if (tileRenderer) {
+            await tileRenderer.render(target, { waitForTiles: this.options.waitForTiles });
+          } else {
+            gl.readPixels(0, bandY, renderWidth, bandHeight, gl.RGBA, gl.UNSIGNED_BYTE, target);
+          }
+        };
+
+        // Sum the sub-frames of the shutter interval and average them
+        const readBlurredFrame = async (target) => {
+          accumulation.fill(0);
+          for (let sample = 0; sample < motionBlurSamples; sample++) {
+            // The frame time is already rendered, later sub-frames move forward within the shutter
+            if (sample > 0) {
+              const sampleTime = virtualTime + (shutterTime * sample) / motionBlurSamples;
+              maplibregl.setNow(sampleTime);
+              if (cameraAt) {
+                this._map.jumpTo(cameraAt(sampleTime));
+              }
+              await renderFrame();
             }
 
-            // Wait for render
-            await new Promise(resolve => this._map.once('render', resolve));
+            await readRender(sampleBuffer);
+            for (let i = 0; i < accumulation.length; i++) {
+              accumulation[i] += sampleBuffer[i];
+            }
+          }
+
+          const half = motionBlurSamples >> 1;
+          for (let i = 0; i < accumulation.length; i++) {
+            target[i] = (accumulation[i] + half) / motionBlurSamples;
+          }
+        };
+
+        // Read the rendered frame (bottom-up), averaged over the sub-frames with motion blur
+        // and downscaled with supersampling
+        const readFrame = async (target) => {
+          const frame = renderBuffer || target;
+
+          if (motionBlurSamples === 1) {
+            await readRender(frame);
+          } else {
+            await readBlurredFrame(frame);
+          }
+
+          if (renderBuffer) {
+            downscaleFrame(renderBuffer, renderWidth, bandHeight, target, supersampling);
+          }
+        };
 
-            // Capture frame
-            if (this.options.format === 'mp4') {
-              // MP4: Direct memory access (synchronous)
-              const pixels = encoder.memory().subarray(ptr);
-              gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        // Render the current map state and send it to the encoder
+        const captureFrame = async () => {
+          // Start a new part before this frame when the current one is full
+          // (checked here so the last part is never empty)
+          if (segmented && isSegmentFull()) {
+            await startNextSegment();
+          }
 
-              // Apply cinematic bars if enabled
+          await renderFrame();
+
+          // Telemetry of the rendered frame (elevation without terrain exaggeration)
+          if (telemetryOverlay) {
+            const center = this._map.getCenter();
+            const terrain = this._map.getTerrain?.();
+            const elevation = terrain ? this._map.queryTerrainElevation(center) : null;
+            telemetryOverlay.update({
+              center: center.toArray(),
+              bearing: this._map.getBearing(),
+              elevation: elevation !== null ? elevation / (terrain.exaggeration || 1) : null
+            });
+          }
+
+          // Capture frame
+          if (usesPointerCapture) {
+            // WASM MP4: Direct memory access (synchronous), bounded to the frame (the heap goes on after it)
+            const pixels = encoder.memory().subarray(ptr, ptr + width * height * 4);
+            await readFrame(pixels);
+
+            // Apply cinematic bars if enabled (already cropped in crop mode)
+            if (!cinematicCrop) {
               this._applyCinematicBars(pixels, width, height, cinematicBars);
+            }
 
-              encoder.encodeRGBPointer();
-            } else {
-              // WebM: Copy to new buffer and send to worker (asynchronous)
-              // Create a new ArrayBuffer to ensure data is properly transferred
-              const buffer = new ArrayBuffer(width * height * 4);
-              const pixels = new Uint8Array(buffer);
-              gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
-
-              // Flip vertically (WebGL coordinates are bottom-up, video expects top-down)
-              const flipped = new Uint8Array(width * height * 4);
-              const bytesPerRow = width * 4;
-              for (let y = 0; y < height; y++) {
-                const srcOffset = y * bytesPerRow;
-                const dstOffset = (height - 1 - y) * bytesPerRow;
-                flipped.set(pixels.subarray(srcOffset, srcOffset + bytesPerRow), dstOffset);
-              }
+            // Transitions and overlays (frame is still bottom-up here)
+            composeFrame(pixels, true);
 
-              // Apply cinematic bars if enabled (after flipping)
+            encoder.encodeRGBPointer();
+          } else {
+            // WebCodecs / WebM / images: Copy to new buffer and send to encoder (asynchronous)
+            // Create a new ArrayBuffer to ensure data is properly transferred
+            const buffer = new ArrayBuffer(width * height * 4);
+            const pixels = new Uint8Array(buffer);
+            await readFrame(pixels);
+
+            // Flip vertically (WebGL coordinates are bottom-up, video expects top-down)
+            const flipped = new Uint8Array(width * height * 4);
+            const bytesPerRow = width * 4;
+            for (let y = 0; y < height; y++) {
+              const srcOffset = y * bytesPerRow;
+              const dstOffset = (height - 1 - y) * bytesPerRow;
+              flipped.set(pixels.subarray(srcOffset, srcOffset + bytesPerRow), dstOffset);
+            }
+
+            // Apply cinematic bars if enabled (after flipping, already cropped in crop mode)
+            if (!cinematicCrop) {
               this._applyCinematicBars(flipped, width, height, cinematicBars);
+            }
 
-              // Debug first frame
-              if (frameCount === 1) {
-                console.log('[WebM] First frame captured and flipped:', {
-                  width,
-                  height,
-                  bufferSize: flipped.byteLength,
-                  firstPixels: Array.from(flipped.slice(0, 16))
-                });
-              }
+            // Transitions and overlays
+            composeFrame(flipped, false);
 
-              // Note: await needed for WebCodecs VP9 (async), doesn't hurt webm-wasm VP8 (sync)
-              await encoder.addFrame(flipped);
+            // Debug first frame
+            if (frameCount === 1) {
+              console.log('[WebM] First frame captured and flipped:', {
+                width,
+                height,
+                bufferSize: flipped.byteLength,
+                firstPixels: Array.from(flipped.slice(0, 16))
+              });
             }
 
-            frameCount++;
+            // Note: await needed for WebCodecs VP9 (async), doesn't hurt webm-wasm VP8 (sync)
+            await encoder.addFrame(flipped);
+          }
 
-            // Update progress bar on every frame
-            this._updateProgress(frameCount, targetFrames, bitrate, recordingDuration);
+          frameCount++;
 
-            // Update status and call onProgress every second
-            if (frameCount % this.options.fps === 0) {
-              const seconds = Math.floor(frameCount / this.options.fps);
-              this._updateStatus(`Recording... ${seconds}s`, 'recording');
-              this.options.onProgress(frameCount, virtualTime);
-            }
+          // Update progress bar on every frame
+          this._updateProgress(frameCount, targetFrames, bitrate, recordingDuration);
+
+          // Update status and call onProgress every second
+          if (frameCount % this.options.fps === 0) {
+            const seconds = Math.floor(frameCount / this.options.fps);
+            this._updateStatus(`Recording... ${seconds}s`, 'recording');
+            this.options.onProgress(frameCount, virtualTime);
           }
+        };
 
-          if (animationComplete) {
-            console.log('✅ Animation complete, captured', frameCount, 'frames');
+        this._updateStatus('Recording animation...', 'recording');
+
+        try {
+          if (cameraAt) {
+            // Deterministic timeline: the camera is a pure function of time,
+            // applied with jumpTo before each frame (no background animation)
+            for (let frameIndex = startFrame; frameIndex < targetFrames; frameIndex++) {
+              await waitWhilePaused();
+              checkCancelled();
+              if (this._recordingStopRequested || sizeLimitReached()) break;
+
+              // Frame N shows the animation at N × timeAdvance
+              virtualTime = frameIndex * timeAdvance;
+              maplibregl.setNow(virtualTime);
+              this._map.jumpTo(cameraAt(virtualTime));
+
+              await captureFrame();
+
+              // Save progress every second of video
+              if (checkpoint && frameCount % this.options.fps === 0) {
+                await saveCheckpoint();
+              }
+            }
+
+            console.log('✅ Timeline complete, captured', frameCount, 'frames');
           } else {
-            console.log('⚠️ Reached target frames (', frameCount, '), stopping capture');
+            // Start animation (don't await - let it run in background)
+            // Launch animation and track when it's complete
+            let animationComplete = false;
+            this._animationController.run(this._map, animation, {
+              updateStatus: (msg) => {
+                if (msg) this._updateStatus(msg, 'recording');
+              },
+              onWaypoint: (waypoint) => {
+                // Per-waypoint cue overrides the default one, placed at the current video time
+                const cue = normalizeAudioSource(waypoint.cue) || waypointCue;
+                if (cue) {
+                  audioCues.push({ ...cue, time: (frameCount / this.options.fps) * 1000 });
+                }
+
+                // Caption for the stop: open until the camera leaves, or a default dwell without pause
+                if (captionOverlay) {
+                  captionOverlay.show(
+                    { title: waypoint.name, description: waypoint.description },
+                    (frameCount / this.options.fps) * 1000,
+                    waypoint.duration ? Infinity : captionDwell / this.options.speedMultiplier
+                  );
+                }
+              },
+              onWaypointDeparture: () => {
+                // The fade out starts on the frame where the waypoint pause ends
+                if (captionOverlay) {
+                  captionOverlay.close((frameCount / this.options.fps) * 1000);
+                }
+              },
+              onTransition: startCrossfade,
+              onTelemetry: (vehicle) => {
+                if (telemetryOverlay) {
+                  telemetryOverlay.setVehicle(vehicle);
+                }
+              }
+            }).then(() => {
+              animationComplete = true;
+              console.log('🎬 Animation wrapper complete (including return)');
+            }).catch(error => {
+              if (error.name !== 'AbortError') {
+                console.error('Animation error:', error);
+              }
+              animationComplete = true;
+            });
+
+            // Small delay to let animation start
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // Single capture loop - continue until animation is complete BUT limit frames
+            // eslint-disable-next-line no-unmodified-loop-condition -- animationComplete is modified asynchronously in Promise callbacks above
+            while (!animationComplete && frameCount < targetFrames) {
+              await waitWhilePaused();
+              checkCancelled();
+              if (this._recordingStopRequested || sizeLimitReached()) break;
+
+              // Advance time
+              virtualTime += timeAdvance;
+              maplibregl.setNow(virtualTime);
+
+              await captureFrame();
+            }
+
+            // Cancelling also stops the animation, which ends the loop early
+            checkCancelled();
+
+            // Animation ended before the planned duration: finish the fade out on the final view
+            if (animationComplete && fadeOutFrames > 0 && !this._recordingStopRequested && !sizeLimitReached()) {
+              fadeOutEnd = Math.min(fadeOutEnd, frameCount + fadeOutFrames);
+              const tailFrames = fadeOutEnd - frameCount;
+              for (let i = 0; i < tailFrames; i++) {
+                checkCancelled();
+                virtualTime += timeAdvance;
+                maplibregl.setNow(virtualTime);
+                await captureFrame();
+              }
+            }
+
+            if (animationComplete) {
+              console.log('✅ Animation complete, captured', frameCount, 'frames');
+            } else {
+              console.log('⚠️ Reached target frames (', frameCount, '), stopping capture');
+            }
           }
         } catch (error) {
-          maplibregl.restoreNow();
-          if (this.options.resolution !== 'auto') {
-            container.style.width = originalSize.width;
-            container.style.height = originalSize.height;
-            this._map.resize();
+          // Optionally keep what was captured so far (encoded below like a normal recording)
+          if (!this.options.keepPartialVideo || frameCount === 0) {
+            maplibregl.restoreNow();
+            restoreSize();
+            throw error;
           }
-          throw error;
+          interruptionError = error;
+          console.warn(`⚠️ Recording interrupted after ${frameCount} frames, keeping partial video:`, error);
+        }
+
+        if (this._recordingStopRequested) {
+          console.log('💾 Recording stopped by user after', frameCount, 'frames');
+        }
+
+        truncated = sizeLimitReached();
+        if (truncated) {
+          console.log('⚠️ Size limit reached after', frameCount, 'frames, capture stopped (animation truncated)');
+        }
+
+        // Video is shorter than planned when stopped or interrupted
+        // (completed animations can stop before targetFrames, which includes the loop return margin)
+        partial = this._recordingStopRequested || interruptionError !== null;
+        if (partial) {
+          recordingDuration = (frameCount / this.options.fps) * 1000;
         }
       }
 
@@ -6898,38 +9387,38 @@ class VideoExportControl {
       // Update progress widget to show encoding status
       const statusSpan = this._progressWidget?.querySelector('#ve-progress-status');
       if (statusSpan) statusSpan.textContent = 'Encoding';
-      const videoData = await encoder.end();
-      const mimeType = this.options.format === 'mp4' ? 'video/mp4' : 'video/webm';
-      const blob = new Blob([videoData], { type: mimeType });
+      let blob = await encodeSegment(true);
+      let sizeBytes = blob ? blob.size : encoder.bytesWritten;
+      checkpointFinished = true;
 
-      // Restore size and camera
-      if (this.options.resolution !== 'auto') {
-        container.style.width = originalSize.width;
-        container.style.height = originalSize.height;
-        this._map.resize();
-
-        // Restore camera position after resize
-        this._map.jumpTo({
-          center: originalCamera.center,
-          zoom: originalCamera.zoom,
-          pitch: originalCamera.pitch,
-          bearing: originalCamera.bearing
-        });
+      if (segmented) {
+        deliverSegment(blob, true);
+        sizeBytes = segmentedBytes;
+      }
+
+      if (outputStream) {
+        if (blob) {
+          // Encoder without streaming support (WASM, GIF/WebP): write the finished file
+          console.log(`[Recording] 💾 ${this.options.format} encoder can't stream - writing the finished file`);
+          await blob.stream().pipeTo(outputStream);
+        }
+
+        // Written file (read from disk when needed), nothing to hand over for a plain stream
+        blob = typeof this.options.streamTo.getFile === 'function' ? await this.options.streamTo.getFile() : null;
+        if (blob) sizeBytes = blob.size;
       }
 
-      // Download
-      const a = document.createElement('a');
-      a.href = URL.createObjectURL(blob);
-      const extension = this.options.format === 'mp4' ? 'mp4' : 'webm';
-      a.download = `maplibre-video-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
-      a.click();
+      // Restore size and camera
+      restoreSize();
 
-      const sizeMB = (blob.size / 1024 / 1024).toFixed(2);
+      const sizeMB = (sizeBytes / 1024 / 1024).toFixed(2);
 
       // Calculate and log performance metrics
-      const realElapsedSeconds = ((performance.now() - realStartTime) / 1000).toFixed(1);
+      // Time spent paused is not part of the capture time
+      const realElapsed = performance.now() - realStartTime - pausedTime;
+      const realElapsedSeconds = (realElapsed / 1000).toFixed(1);
       const videoDurationSeconds = (recordingDuration / 1000).toFixed(1);
-      const speedRatio = (recordingDuration / (performance.now() - realStartTime)).toFixed(2);
+      const speedRatio = (recordingDuration / realElapsed).toFixed(2);
 
       console.log('✅ Export complete!');
       console.log(`   📹 Video: ${videoDurationSeconds}s (${frameCount} frames @ ${this.options.fps} fps)`);
@@ -6937,35 +9426,68 @@ class VideoExportControl {
       console.log(`   ⚡ Speed: ${speedRatio}x realtime (${(parseFloat(speedRatio) > 1 ? 'faster' : 'slower')} than realtime)`);
       console.log(`   💾 Size: ${sizeMB} MB`);
 
-      // Show final stats in UI widget
-      this._showFinalStats({
+      const stats = {
         videoDuration: videoDurationSeconds,
         frameCount,
         fps: this.options.fps,
         realTime: realElapsedSeconds,
         speedRatio,
         sizeMB
-      });
+      };
 
-      this._updateStatus(`✅ Complete! ${sizeMB} MB`, 'success');
+      // Show final stats in UI widget
+      this._showFinalStats(stats);
+
+      if (partial) {
+        this._updateStatus(`💾 Saved partial video (${frameCount} frames, ${sizeMB} MB)`, 'success');
+      } else if (truncated) {
+        this._updateStatus(`⚠️ Size limit reached: animation truncated (${sizeMB} MB)`, 'success');
+      } else if (outputStream) {
+        this._updateStatus(`✅ Complete! ${sizeMB} MB written to disk`, 'success');
+      } else if (segmented) {
+        this._updateStatus(`✅ Complete! ${sizeMB} MB in ${segmentCount} parts`, 'success');
+      } else {
+        this._updateStatus(`✅ Complete! ${sizeMB} MB`, 'success');
+      }
       this.options.onComplete(blob, frameCount);
+
+      const result = { blob, frameCount, stats, partial, truncated, streamed: outputStream !== null, segments: segmented ? segmentCount : 0 };
+      if (interruptionError) result.error = interruptionError;
+      return result;
     } finally {
       // Always hide encoding spinner
       this._hideEncodingSpinner();
 
+      // Restore size if recording stopped early (cancel or error)
+      restoreSize();
+      if (tileRenderer) {
+        tileRenderer.destroy();
+      }
+      this._recordingAbortController = null;
+      this._recordingStopRequested = false;
+      this.resume();
+
       // Always cleanup encoder
       if (encoder) {
-        if (encoder.destroy) {
-          encoder.destroy(); // WebM encoder
-          console.log('WebM encoder destroyed');
-        } else if (encoder.delete) {
-          encoder.delete(); // MP4 encoder
-          console.log('MP4 encoder deleted');
-        }
+        await this._destroyEncoder(encoder);
       }
       this._encoder = null; // Clear reference
       this._recordingParams = null; // Clear recording params
 
+      // Stream never handed to an encoder (cancelled or failed early): discard it
+      if (outputStream && !outputStream.locked) {
+        outputStream.abort().catch(() => {});
+      }
+      this._outputStream = null;
+
+      // Finished or cancelled recordings can't be resumed anymore (failures keep their checkpoint)
+      if (checkpoint && (checkpointFinished || abortController.signal.aborted)) {
+        this._getCheckpointStore().delete(checkpoint).catch(error => {
+          console.warn('[Checkpoint] Could not delete checkpoint:', error);
+        });
+      }
+      this._checkpointEncoding = null;
+
       // Clear recording flag to allow marker updates again
       this._isRecording = false;
       console.log('[Recording] 🔓 Recording flag CLEARED - marker updates enabled');
@@ -6984,7 +9506,12 @@ class VideoExportControl {
       hd: { width: 1280, height: 720 },
       fullhd: { width: 1920, height: 1080 },
       '4k': { width: 3840, height: 2160 },
-      '8k': { width: 7680, height: 4320 }
+      '8k': { width: 7680, height: 4320 },
+      // Phone-first platforms (9:16 Reels/TikTok/Shorts, 1:1 and 4:5 feed posts)
+      // Platforms expect these exact sizes: only aligned to even dimensions (4:2:0 video)
+      vertical: { width: 1080, height: 1920, align: 2 },
+      square: { width: 1080, height: 1080, align: 2 },
+      portrait: { width: 1080, height: 1350, align: 2 }
     };
 
     // Handle 'auto' resolution
@@ -7006,9 +9533,10 @@ class VideoExportControl {
 
     // Handle preset resolutions
     const res = resolutions[this.options.resolution] || resolutions.fullhd;
+    const align = res.align || 16;
     return {
-      width: Math.floor(res.width / 16) * 16,
-      height: Math.floor(res.height / 16) * 16
+      width: Math.floor(res.width / align) * align,
+      height: Math.floor(res.height / align) * align
     };
   }
 }
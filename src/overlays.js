@@ -0,0 +1,490 @@
+/**
+ * Overlays burned into the video frames (see FrameCompositor)
+ *
+ * Every overlay draws itself with the Canvas 2D API for a given video time
+ * and returns the rectangle it covered. Sizes are relative to the frame
+ * height so overlays look the same at every resolution.
+ */
+
+import { calculateDistance } from './utils.js';
+
+// Font weights from map font stack names (e.g. "Open Sans Semibold")
+const FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  book: 400,
+  normal: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900
+};
+
+/**
+ * Convert a map font stack name to a CSS font shorthand
+ * "Open Sans Bold Italic" → 'italic 700 32px "Open Sans", sans-serif'
+ * @param {string|null} fontName - Map font (glyphs) name, e.g. from the style's fontstacks
+ * @param {number} size - Font size in pixels
+ * @param {number} [minWeight=0] - Minimum weight (e.g. bold titles)
+ * @returns {string} CSS font
+ */
+export function fontStackToCss(fontName, size, minWeight = 0) {
+  const words = (fontName || '').split(/\s+/).filter(Boolean);
+  let weight = 400;
+  let style = 'normal';
+
+  // Strip weight and style words from the end of the name
+  while (words.length > 1) {
+    const word = words[words.length - 1].toLowerCase();
+    if (word === 'italic' || word === 'oblique') {
+      style = 'italic';
+    } else if (FONT_WEIGHTS[word] !== undefined) {
+      weight = FONT_WEIGHTS[word];
+    } else {
+      break;
+    }
+    words.pop();
+  }
+
+  const family = words.length > 0 ? `"${words.join(' ')}", ` : '';
+  return `${style} ${Math.max(weight, minWeight)} ${Math.round(size)}px ${family}sans-serif`;
+}
+
+/**
+ * Load an image to draw on overlays
+ * @param {string|Blob|ImageBitmap|HTMLImageElement|HTMLCanvasElement} src - URL, File/Blob or drawable image
+ * @returns {Promise<ImageBitmap|HTMLImageElement|HTMLCanvasElement>} Drawable image
+ */
+export async function loadOverlayImage(src) {
+  if (typeof src !== 'string' && !(src instanceof Blob)) return src;
+
+  let blob = src;
+  if (typeof src === 'string') {
+    // Remote images must allow CORS, or the frames could not be read back
+    const response = await fetch(src, { mode: 'cors' });
+    if (!response.ok) {
+      throw new Error(`Failed to load image ${src}: ${response.status} ${response.statusText}`);
+    }
+    blob = await response.blob();
+  }
+
+  return createImageBitmap(blob);
+}
+
+/**
+ * Opacity of an element shown between start and end with fades
+ * @param {number} time - Current time (ms)
+ * @param {number} start - Start time (ms)
+ * @param {number} end - End time (ms)
+ * @param {number} fade - Fade in/out duration (ms)
+ * @returns {number} Opacity 0-1
+ */
+function fadeOpacity(time, start, end, fade) {
+  if (time < start || time >= end) return 0;
+  if (fade <= 0) return 1;
+  return Math.min(1, (time - start) / fade, (end - time) / fade);
+}
+
+/**
+ * Draw a rectangle with rounded corners
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ */
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * Lower-third captions (waypoint name and description)
+ *
+ * Captions are scheduled on the video timeline with show(), and fade in
+ * and out (with a short slide) over their display time. A caption shown
+ * without a duration stays until close() (e.g. when the camera leaves).
+ */
+export class CaptionOverlay {
+  /**
+     * @param {Object} [options]
+     * @param {string|null} [options.font] - Map font stack name (e.g. "Open Sans Regular")
+     * @param {number} [options.scale=1] - Size multiplier
+     * @param {string} [options.textColor='#ffffff'] - Title and description color
+     * @param {string} [options.backgroundColor='rgba(0, 0, 0, 0.6)'] - Box color
+     * @param {string} [options.accentColor='#4a9eda'] - Bar on the left of the box
+     * @param {number} [options.fadeDuration=500] - Fade in/out duration in ms
+     */
+  constructor({
+    font = null,
+    scale = 1,
+    textColor = '#ffffff',
+    backgroundColor = 'rgba(0, 0, 0, 0.6)',
+    accentColor = '#4a9eda',
+    fadeDuration = 500
+  } = {}) {
+    this.font = font;
+    this.scale = scale;
+    this.textColor = textColor;
+    this.backgroundColor = backgroundColor;
+    this.accentColor = accentColor;
+    this.fadeDuration = fadeDuration;
+    this.captions = []; // {title, description, start, end}
+  }
+
+  /**
+     * Schedule a caption
+     * @param {Object} caption - {title, description}
+     * @param {number} start - Video time to show it (ms)
+     * @param {number} [duration=Infinity] - Display time including fades (ms), Infinity until close()
+     */
+  show({ title, description = '' }, start, duration = Infinity) {
+    if (!title && !description) return;
+
+    this.captions.push({ title: title || '', description: description || '', start, end: start + duration });
+  }
+
+  /**
+     * Fade out the captions still open at this time
+     * @param {number} time - Video time the fade out starts (ms)
+     */
+  close(time) {
+    for (const caption of this.captions) {
+      if (caption.end === Infinity) {
+        caption.end = Math.max(caption.start, time) + this.fadeDuration;
+      }
+    }
+  }
+
+  /**
+     * Draw the caption visible at this time
+     * @param {CanvasRenderingContext2D} ctx - Context
+     * @param {number} time - Video time (ms)
+     * @param {Object} frame - {width, height}
+     * @returns {Object|null} Drawn rectangle
+     */
+  render(ctx, time, { width, height }) {
+    // Latest caption wins when they overlap (short stops)
+    let caption = null;
+    for (const candidate of this.captions) {
+      if (time >= candidate.start && time < candidate.end) caption = candidate;
+    }
+    if (!caption) return null;
+
+    const fade = Math.min(this.fadeDuration, (caption.end - caption.start) / 4);
+    const opacity = fadeOpacity(time, caption.start, caption.end, fade);
+    if (opacity <= 0) return null;
+
+    // Layout relative to the frame height, inside the title-safe area
+    const titleSize = height * 0.045 * this.scale;
+    const descriptionSize = titleSize * 0.6;
+    const padding = titleSize * 0.5;
+    const accentWidth = Math.max(2, titleSize * 0.12);
+    const maxTextWidth = width * 0.8;
+
+    const titleFont = fontStackToCss(this.font, titleSize, 600);
+    const descriptionFont = fontStackToCss(this.font, descriptionSize);
+
+    ctx.font = titleFont;
+    const titleWidth = Math.min(ctx.measureText(caption.title).width, maxTextWidth);
+    ctx.font = descriptionFont;
+    const descriptionWidth = caption.description ? Math.min(ctx.measureText(caption.description).width, maxTextWidth) : 0;
+
+    const boxWidth = accentWidth + padding * 2 + Math.max(titleWidth, descriptionWidth);
+    const boxHeight = padding * 2 + (caption.title ? titleSize * 1.15 : 0) + (caption.description ? descriptionSize * 1.3 : 0);
+
+    // Slide in from the left while fading
+    const slide = (1 - opacity) * width * 0.02;
+    const x = width * 0.05 - slide;
+    const y = height * 0.9 - boxHeight;
+
+    ctx.globalAlpha = opacity;
+
+    ctx.fillStyle = this.backgroundColor;
+    roundedRect(ctx, x, y, boxWidth, boxHeight, padding * 0.4);
+    ctx.fill();
+
+    ctx.fillStyle = this.accentColor;
+    ctx.fillRect(x, y, accentWidth, boxHeight);
+
+    ctx.fillStyle = this.textColor;
+    ctx.textBaseline = 'top';
+    let textY = y + padding;
+    if (caption.title) {
+      ctx.font = titleFont;
+      ctx.fillText(caption.title, x + accentWidth + padding, textY, maxTextWidth);
+      textY += titleSize * 1.15;
+    }
+    if (caption.description) {
+      ctx.font = descriptionFont;
+      ctx.globalAlpha = opacity * 0.85;
+      ctx.fillText(caption.description, x + accentWidth + padding, textY, maxTextWidth);
+    }
+
+    return { x, y, width: boxWidth, height: boxHeight };
+  }
+}
+
+/**
+ * Logo / watermark in a corner of the frame
+ *
+ * Sizes are given for a 1080p video and follow the video height, so the
+ * logo covers the same part of the frame at every resolution.
+ */
+export class WatermarkOverlay {
+  /**
+     * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement} image - Loaded image (see loadOverlayImage)
+     * @param {Object} [options]
+     * @param {string} [options.anchor='bottom-right'] - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+     * @param {number|number[]} [options.margin=24] - Distance to the frame edges (px at 1080p), or [x, y]
+     * @param {number} [options.scale=1] - Size multiplier (1 = natural image size at 1080p)
+     * @param {number} [options.opacity=1] - Opacity 0-1
+     */
+  constructor(image, {
+    anchor = 'bottom-right',
+    margin = 24,
+    scale = 1,
+    opacity = 1
+  } = {}) {
+    if (!['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(anchor)) {
+      throw new Error(`Invalid watermark anchor "${anchor}" (use top-left, top-right, bottom-left or bottom-right)`);
+    }
+
+    this.image = image;
+    this.anchor = anchor;
+    this.margin = Array.isArray(margin) ? margin : [margin, margin];
+    this.scale = scale;
+    this.opacity = Math.min(1, Math.max(0, opacity));
+    this.isStatic = true; // Same pixels on every frame
+  }
+
+  /**
+     * Draw the watermark
+     * @param {CanvasRenderingContext2D} ctx - Context
+     * @param {number} _time - Video time (ms, unused)
+     * @param {Object} frame - {width, height}
+     * @returns {Object|null} Drawn rectangle
+     */
+  render(ctx, _time, { width, height }) {
+    if (this.opacity === 0) return null;
+
+    const unit = height / 1080;
+    const drawWidth = this.image.width * this.scale * unit;
+    const drawHeight = this.image.height * this.scale * unit;
+    const marginX = this.margin[0] * unit;
+    const marginY = this.margin[1] * unit;
+
+    const x = this.anchor.endsWith('left') ? marginX : width - marginX - drawWidth;
+    const y = this.anchor.startsWith('top') ? marginY : height - marginY - drawHeight;
+
+    ctx.globalAlpha = this.opacity;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(this.image, x, y, drawWidth, drawHeight);
+
+    return { x, y, width: drawWidth, height: drawHeight };
+  }
+}
+
+// Compass points for the heading readout
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Telemetry HUD for vehicle animations (speed, distance, position, heading, elevation)
+ *
+ * The animation reports the vehicle when it starts following its route
+ * (setVehicle), then the capture loop feeds the camera state of every frame
+ * (update), from which the travelled distance is accumulated.
+ */
+export class TelemetryOverlay {
+  /**
+     * @param {Object} [options]
+     * @param {string} [options.anchor='top-left'] - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+     * @param {number} [options.scale=1] - Size multiplier
+     * @param {string} [options.textColor='#ffffff'] - Values color
+     * @param {string} [options.labelColor='rgba(255, 255, 255, 0.6)'] - Labels color
+     * @param {string} [options.backgroundColor='rgba(0, 0, 0, 0.5)'] - Panel color
+     */
+  constructor({
+    anchor = 'top-left',
+    scale = 1,
+    textColor = '#ffffff',
+    labelColor = 'rgba(255, 255, 255, 0.6)',
+    backgroundColor = 'rgba(0, 0, 0, 0.5)'
+  } = {}) {
+    if (!['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(anchor)) {
+      throw new Error(`Invalid HUD anchor "${anchor}" (use top-left, top-right, bottom-left or bottom-right)`);
+    }
+
+    this.anchor = anchor;
+    this.scale = scale;
+    this.textColor = textColor;
+    this.labelColor = labelColor;
+    this.backgroundColor = backgroundColor;
+
+    this.vehicle = null; // {name, speedKmh}, set when the vehicle starts moving
+    this.center = null;
+    this.bearing = 0;
+    this.elevation = null;
+    this.distanceKm = 0;
+  }
+
+  /**
+     * Start the telemetry for a vehicle (distance is counted from here)
+     * @param {Object} vehicle - {name, speedKmh}
+     */
+  setVehicle(vehicle) {
+    this.vehicle = vehicle;
+    this.distanceKm = 0;
+    this.center = null;
+  }
+
+  /**
+     * Feed the camera state of a frame
+     * @param {Object} sample - {center: [lng, lat], bearing, elevation (m or null)}
+     */
+  update({ center, bearing, elevation }) {
+    if (!this.vehicle) return;
+
+    if (this.center) {
+      this.distanceKm += calculateDistance(this.center[0], this.center[1], center[0], center[1]);
+    }
+    this.center = center;
+    this.bearing = bearing;
+    this.elevation = elevation;
+  }
+
+  /**
+     * Draw the HUD
+     * @param {CanvasRenderingContext2D} ctx - Context
+     * @param {number} _time - Video time (ms, unused)
+     * @param {Object} frame - {width, height}
+     * @returns {Object|null} Drawn rectangle
+     */
+  render(ctx, _time, { width, height }) {
+    if (!this.vehicle || !this.center) return null;
+
+    const [lng, lat] = this.center;
+    const heading = (this.bearing % 360 + 360) % 360;
+    const rows = [
+      ['SPD', `${Math.round(this.vehicle.speedKmh)} km/h`],
+      ['DST', this.distanceKm < 1 ? `${Math.round(this.distanceKm * 1000)} m` : `${this.distanceKm.toFixed(2)} km`],
+      ['POS', `${Math.abs(lat).toFixed(5)}° ${lat >= 0 ? 'N' : 'S'}  ${Math.abs(lng).toFixed(5)}° ${lng >= 0 ? 'E' : 'W'}`],
+      ['HDG', `${String(Math.round(heading) % 360).padStart(3, '0')}° ${COMPASS_POINTS[Math.round(heading / 45) % 8]}`]
+    ];
+    if (this.elevation !== null) {
+      rows.push(['ELE', `${Math.round(this.elevation)} m`]);
+    }
+
+    // Monospace so values don't jitter from frame to frame
+    const fontSize = height * 0.022 * this.scale;
+    const lineHeight = fontSize * 1.4;
+    const padding = fontSize * 0.7;
+    const margin = height * 0.03;
+    ctx.font = `500 ${Math.round(fontSize)}px ui-monospace, "SF Mono", Menlo, Consolas, monospace`;
+
+    const labelWidth = ctx.measureText('DST ').width;
+    const valueWidth = Math.max(...rows.map(([, value]) => ctx.measureText(value).width));
+    const boxWidth = padding * 2 + labelWidth + valueWidth;
+    const boxHeight = padding * 2 + lineHeight * rows.length;
+
+    const x = this.anchor.endsWith('left') ? margin : width - margin - boxWidth;
+    const y = this.anchor.startsWith('top') ? margin : height - margin - boxHeight;
+
+    ctx.fillStyle = this.backgroundColor;
+    roundedRect(ctx, x, y, boxWidth, boxHeight, padding * 0.5);
+    ctx.fill();
+
+    ctx.textBaseline = 'middle';
+    rows.forEach(([label, value], i) => {
+      const rowY = y + padding + lineHeight * (i + 0.5);
+      ctx.fillStyle = this.labelColor;
+      ctx.fillText(label, x + padding, rowY);
+      ctx.fillStyle = this.textColor;
+      ctx.fillText(value, x + padding + labelWidth, rowY);
+    });
+
+    return { x, y, width: boxWidth, height: boxHeight };
+  }
+}
+
+/**
+ * Map attribution (data and tile providers), required on derived media by
+ * OpenStreetMap and most providers
+ *
+ * Bottom-left by default, so the watermark (bottom-right) does not cover it.
+ */
+export class AttributionOverlay {
+  /**
+     * @param {string} text - Attribution text (plain text)
+     * @param {Object} [options]
+     * @param {string} [options.anchor='bottom-left'] - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+     * @param {number} [options.scale=1] - Size multiplier
+     * @param {string} [options.textColor='rgba(0, 0, 0, 0.85)'] - Text color
+     * @param {string} [options.backgroundColor='rgba(255, 255, 255, 0.6)'] - Background color
+     */
+  constructor(text, {
+    anchor = 'bottom-left',
+    scale = 1,
+    textColor = 'rgba(0, 0, 0, 0.85)',
+    backgroundColor = 'rgba(255, 255, 255, 0.6)'
+  } = {}) {
+    if (!['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(anchor)) {
+      throw new Error(`Invalid attribution anchor "${anchor}" (use top-left, top-right, bottom-left or bottom-right)`);
+    }
+
+    this.text = text;
+    this.anchor = anchor;
+    this.scale = scale;
+    this.textColor = textColor;
+    this.backgroundColor = backgroundColor;
+    this.isStatic = true; // Same text on every frame
+  }
+
+  /**
+     * Draw the attribution in its corner, flush with the frame edges (like the map control)
+     * @param {CanvasRenderingContext2D} ctx - Context
+     * @param {number} _time - Video time (ms, unused)
+     * @param {Object} frame - {width, height}
+     * @returns {Object|null} Drawn rectangle
+     */
+  render(ctx, _time, { width, height }) {
+    if (!this.text) return null;
+
+    const fontSize = Math.max(10, height * 0.016 * this.scale);
+    const paddingX = fontSize * 0.5;
+    const paddingY = fontSize * 0.25;
+    ctx.font = `${Math.round(fontSize)}px "Helvetica Neue", Arial, Helvetica, sans-serif`;
+
+    // Long attributions are condensed to fit the frame width
+    const maxTextWidth = width - paddingX * 2;
+    const textWidth = Math.min(ctx.measureText(this.text).width, maxTextWidth);
+    const boxWidth = textWidth + paddingX * 2;
+    const boxHeight = fontSize * 1.2 + paddingY * 2;
+
+    const x = this.anchor.endsWith('left') ? 0 : width - boxWidth;
+    const y = this.anchor.startsWith('top') ? 0 : height - boxHeight;
+
+    ctx.fillStyle = this.backgroundColor;
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+
+    ctx.fillStyle = this.textColor;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.text, x + paddingX, y + boxHeight / 2, maxTextWidth);
+
+    return { x, y, width: boxWidth, height: boxHeight };
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Tiled rendering - frames larger than the map canvas limit
+ *
+ * MapLibre lowers the pixel ratio of canvases larger than its maxCanvasSize
+ * (4096×4096 by default) or the GPU drawing buffer limit, so an 8K container
+ * is silently rendered at a lower resolution. In tiled mode, a hidden helper
+ * map with the same style renders each frame as a grid of tiles, which are
+ * read back and stitched into the full frame.
+ *
+ * Every tile uses the camera of the full frame with an offset projection:
+ * - padding moves the projection center to where the full frame center falls
+ *   in the tile (it can't leave the tile, hence 2×2 tiles at most)
+ * - the vertical field of view is narrowed to the tile height, so a tile
+ *   pixel covers the same angle as a pixel of the full frame
+ *
+ * The main map keeps driving the camera (animations, cameraAt), the helper
+ * map copies its camera before rendering the tiles of each frame, and its
+ * style (with terrain and runtime images) after the main style changed.
+ * Custom layers draw with their own WebGL code on the main map only, so
+ * tiled rendering refuses styles that have some.
+ */
+
+/* global maplibregl */
+
+// Tiles per axis: the projection center must stay inside each tile
+export const MAX_TILES_PER_AXIS = 2;
+
+/**
+ * Ids of the custom layers of a map (not part of getStyle(), can't be copied)
+ * @param {Object} map - MapLibre map
+ * @returns {string[]}
+ */
+function getCustomLayers(map) {
+  return map.getLayersOrder().filter(id => map.getLayer(id)?.type === 'custom');
+}
+
+export class TileRenderer {
+  /**
+     * @param {Object} map - Main map (camera source)
+     * @param {Object} options
+     * @param {number} options.width - Frame width (CSS pixels)
+     * @param {number} options.height - Frame height (CSS pixels)
+     * @param {number} options.columns - Tiles per row (1 or 2)
+     * @param {number} options.rows - Tiles per column (1 or 2)
+     * @param {number} [options.pixelRatio=1] - Pixel ratio of the tiles (supersampling)
+     */
+  constructor(map, { width, height, columns, rows, pixelRatio = 1 }) {
+    this.map = map;
+    this.width = width;
+    this.height = height;
+    this.columns = columns;
+    this.rows = rows;
+    this.pixelRatio = pixelRatio;
+
+    // Tile size in CSS pixels (the last tile may overflow the frame, it is clipped when stitched)
+    this.tileWidth = Math.ceil(width / columns);
+    this.tileHeight = Math.ceil(height / rows);
+
+    // Frame and tile sizes in rendered pixels
+    this.renderWidth = width * pixelRatio;
+    this.renderHeight = height * pixelRatio;
+    this.tileRenderWidth = this.tileWidth * pixelRatio;
+    this.tileRenderHeight = this.tileHeight * pixelRatio;
+
+    this.container = null;
+    this.helper = null;
+    this.gl = null;
+    this.tileBuffer = new Uint8Array(this.tileRenderWidth * this.tileRenderHeight * 4);
+
+    // Set when the main style changes (setStyle, setTerrain, layers...), synced before the next frame
+    this.styleChanged = false;
+    this._onStyleChange = () => {
+      this.styleChanged = true;
+    };
+  }
+
+  /**
+     * Create the helper map and wait for its style and first tiles
+     * @returns {Promise<TileRenderer>} This instance
+     */
+  async init() {
+    const customLayers = getCustomLayers(this.map);
+    if (customLayers.length > 0) {
+      throw new Error(`Tiled rendering can't draw custom layers (${customLayers.join(', ')}) - use a resolution within the canvas limit`);
+    }
+
+    // Off-screen container the size of one tile
+    this.container = document.createElement('div');
+    Object.assign(this.container.style, {
+      position: 'fixed',
+      left: '-100000px',
+      top: '0',
+      width: this.tileWidth + 'px',
+      height: this.tileHeight + 'px',
+      pointerEvents: 'none'
+    });
+    document.body.appendChild(this.container);
+
+    const camera = this._getCamera();
+    this.helper = new maplibregl.Map({
+      container: this.container,
+      style: this.map.getStyle(),
+      ...camera,
+      pixelRatio: this.pixelRatio,
+      maxCanvasSize: [this.tileRenderWidth, this.tileRenderHeight],
+      // @ts-ignore - Same request transformation as the main map (auth headers, signed URLs)
+      transformRequest: this.map._requestManager?._transformRequestFn,
+      interactive: false,
+      attributionControl: false,
+      fadeDuration: 0 // Labels are placed at once, so all tiles of a frame agree
+    });
+
+    await new Promise(resolve => this.helper.once('load', resolve));
+    this._copyImages();
+    this.map.on('styledata', this._onStyleChange);
+    this.map.on('terrain', this._onStyleChange);
+
+    // The tile canvas must not be clamped, or tiles would not fill the frame
+    this.gl = this.helper.painter.context.gl;
+    if (this.gl.drawingBufferWidth < this.tileRenderWidth || this.gl.drawingBufferHeight < this.tileRenderHeight) {
+      throw new Error(`Tiled rendering: ${this.tileRenderWidth}×${this.tileRenderHeight} tiles exceed the GPU limit (${this.gl.drawingBufferWidth}×${this.gl.drawingBufferHeight})`);
+    }
+
+    console.log(`[Tiles] Helper map ready: ${this.columns}×${this.rows} tiles of ${this.tileRenderWidth}×${this.tileRenderHeight}`);
+    return this;
+  }
+
+  /**
+     * Copy the images added at runtime (waypoint icons...), they are not part of the style
+     */
+  _copyImages() {
+    for (const id of this.map.listImages()) {
+      if (this.helper.hasImage(id)) continue;
+      try {
+        // @ts-ignore - style.getImage is internal
+        const image = this.map.style.getImage(id);
+        if (image) {
+          this.helper.addImage(id, image.data, { pixelRatio: image.pixelRatio, sdf: image.sdf });
+        }
+      } catch (error) {
+        console.warn(`[Tiles] Could not copy image "${id}":`, error);
+      }
+    }
+  }
+
+  /**
+     * Apply the current style of the main map to the helper map
+     * (diffed, so only the changes are applied when possible)
+     */
+  async _syncStyle() {
+    this.styleChanged = false;
+
+    const customLayers = getCustomLayers(this.map);
+    if (customLayers.length > 0) {
+      throw new Error(`Tiled rendering can't draw custom layers (${customLayers.join(', ')})`);
+    }
+
+    this.helper.setStyle(this.map.getStyle());
+
+    // A style that can't be diffed is reloaded
+    const maxAttempts = 50;
+    for (let i = 0; i < maxAttempts && !this.helper.isStyleLoaded(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    // Terrain set at runtime (e.g. by an animation), in case the style diff missed it
+    const terrain = this.map.getTerrain();
+    if (JSON.stringify(terrain) !== JSON.stringify(this.helper.getTerrain())) {
+      this.helper.setTerrain(terrain);
+    }
+
+    this._copyImages();
+    console.log('[Tiles] Helper map style synced with the main map');
+  }
+
+  /**
+     * Camera of the main map
+     * @returns {Object} {center, zoom, bearing, pitch, roll}
+     */
+  _getCamera() {
+    return {
+      center: this.map.getCenter(),
+      zoom: this.map.getZoom(),
+      bearing: this.map.getBearing(),
+      pitch: this.map.getPitch(),
+      roll: typeof this.map.getRoll === 'function' ? this.map.getRoll() : 0
+    };
+  }
+
+  /**
+     * Padding that puts the projection center of a tile where the full frame center falls
+     * @param {number} column - Tile column
+     * @param {number} row - Tile row (0 = top)
+     * @param {number} centerX - Projection center of the full frame (CSS pixels)
+     * @param {number} centerY - Projection center of the full frame (CSS pixels)
+     * @returns {{left: number, right: number, top: number, bottom: number}}
+     */
+  _getTilePadding(column, row, centerX, centerY) {
+    // Center in tile coordinates (padded center = left + (width - left - right) / 2)
+    const x = Math.min(this.tileWidth, Math.max(0, centerX - column * this.tileWidth));
+    const y = Math.min(this.tileHeight, Math.max(0, centerY - row * this.tileHeight));
+    return {
+      left: Math.max(0, 2 * x - this.tileWidth),
+      right: Math.max(0, this.tileWidth - 2 * x),
+      top: Math.max(0, 2 * y - this.tileHeight),
+      bottom: Math.max(0, this.tileHeight - 2 * y)
+    };
+  }
+
+  /**
+     * Wait for the tiles of the helper map (same approach as the main map with frozen time)
+     */
+  async _waitForTiles() {
+    const maxAttempts = 5;
+    for (let i = 0; i < maxAttempts && !this.helper.areTilesLoaded(); i++) {
+      this.helper.triggerRepaint();
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  /**
+     * Render the current camera of the main map in tiles and stitch them
+     * @param {Uint8Array} target - Full frame pixels (renderWidth * renderHeight * 4, bottom-up like readPixels)
+     * @param {Object} [options]
+     * @param {boolean} [options.waitForTiles=false] - Wait for the map tiles of each tile render
+     */
+  async render(target, { waitForTiles = false } = {}) {
+    if (this.styleChanged) {
+      await this._syncStyle();
+    }
+
+    const camera = this._getCamera();
+
+    // Projection center of the full frame (moved by the main map padding, if any)
+    const padding = this.map.getPadding();
+    const centerX = padding.left + (this.width - padding.left - padding.right) / 2;
+    const centerY = padding.top + (this.height - padding.top - padding.bottom) / 2;
+
+    // Same angle per pixel as the full frame: field of view of the tile height
+    const fov = this.map.getVerticalFieldOfView();
+    const tileFov = 2 * Math.atan(Math.tan((fov * Math.PI) / 360) * this.tileHeight / this.height) * 180 / Math.PI;
+    if (Math.abs(this.helper.getVerticalFieldOfView() - tileFov) > 1e-6) {
+      this.helper.setVerticalFieldOfView(tileFov);
+    }
+
+    const { gl, tileBuffer, tileRenderWidth, tileRenderHeight, renderWidth, renderHeight } = this;
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        this.helper.jumpTo({ ...camera, padding: this._getTilePadding(column, row, centerX, centerY) });
+        this.helper.triggerRepaint();
+
+        if (waitForTiles) {
+          await this._waitForTiles();
+        }
+        await new Promise(resolve => this.helper.once('render', resolve));
+
+        gl.readPixels(0, 0, tileRenderWidth, tileRenderHeight, gl.RGBA, gl.UNSIGNED_BYTE, tileBuffer);
+
+        // Copy the tile rows into the frame (both bottom-up), clipped to the frame
+        const x = column * tileRenderWidth;
+        const top = row * tileRenderHeight;
+        const rowBytes = Math.min(tileRenderWidth, renderWidth - x) * 4;
+        for (let tileRow = 0; tileRow < tileRenderHeight; tileRow++) {
+          const frameRow = renderHeight - top - tileRenderHeight + tileRow;
+          if (frameRow < 0) continue;
+          const start = tileRow * tileRenderWidth * 4;
+          target.set(tileBuffer.subarray(start, start + rowBytes), (frameRow * renderWidth + x) * 4);
+        }
+      }
+    }
+  }
+
+  /**
+     * Remove the helper map
+     */
+  destroy() {
+    this.map.off('styledata', this._onStyleChange);
+    this.map.off('terrain', this._onStyleChange);
+
+    if (this.helper) {
+      this.helper.remove();
+      this.helper = null;
+    }
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+    }
+    this.gl = null;
+  }
+}
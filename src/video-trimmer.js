@@ -0,0 +1,140 @@
+/**
+ * Video trimmer - cut a recorded video before it is downloaded (review step)
+ *
+ * Two ways to cut, both with Mediabunny:
+ * - Keyframe cut (default): the encoded packets between the in and out
+ *   points are copied to a new file, without re-encoding (fast, lossless).
+ *   A video can only start on a keyframe, so the cut starts at the last
+ *   keyframe before the in point (up to one keyframe interval earlier)
+ * - Precise cut: Mediabunny Conversion decodes and re-encodes the video
+ *   from the exact in point (slower, needs WebCodecs encoding)
+ *
+ * The container is kept (MP4 stays MP4, WebM stays WebM), with its audio.
+ */
+
+// @ts-ignore - mediabunny is an external module
+import { Input, Output, Conversion, BlobSource, BufferTarget, ALL_FORMATS, Mp4OutputFormat, WebMOutputFormat, EncodedPacketSink, EncodedVideoPacketSource, EncodedAudioPacketSource } from 'mediabunny';
+
+/**
+ * Output format with the container of the recorded video
+ * @param {string} mimeType - MIME type of the recorded video
+ * @returns {Object} Mediabunny output format
+ */
+function createOutputFormat(mimeType) {
+  return mimeType === 'video/mp4'
+    ? new Mp4OutputFormat({ fastStart: 'in-memory' })
+    : new WebMOutputFormat();
+}
+
+/**
+ * Get the duration of a video from its packets (players may report
+ * Infinity for WebM files without a duration element)
+ * @param {Blob} blob - Video file
+ * @returns {Promise<number>} Duration in seconds
+ */
+export async function getVideoDuration(blob) {
+  const input = new Input({ source: new BlobSource(blob), formats: ALL_FORMATS });
+  try {
+    return await input.computeDuration();
+  } finally {
+    input.dispose();
+  }
+}
+
+/**
+ * Copy the packets between two times to the output (keyframe cut)
+ * @param {Object} input - Mediabunny input
+ * @param {Object} output - Mediabunny output (not started)
+ * @param {number} start - In point in seconds
+ * @param {number} end - Out point in seconds (Infinity = end of the video)
+ * @returns {Promise<number>} Actual start (keyframe) in seconds
+ */
+async function copyPackets(input, output, start, end) {
+  const videoTrack = await input.getPrimaryVideoTrack();
+  if (!videoTrack) {
+    throw new Error('No video track to trim');
+  }
+  const audioTrack = await input.getPrimaryAudioTrack();
+
+  // Start on the keyframe before the in point, the out point is exclusive
+  const videoSink = new EncodedPacketSink(videoTrack);
+  const keyPacket = await videoSink.getKeyPacket(start, { verifyKeyPackets: true }) || await videoSink.getFirstPacket();
+  const endPacket = Number.isFinite(end) ? await videoSink.getPacket(end, { metadataOnly: true }) : null;
+  const offset = keyPacket.timestamp;
+
+  const videoSource = new EncodedVideoPacketSource(videoTrack.codec);
+  output.addVideoTrack(videoSource);
+
+  let audioSource = null;
+  if (audioTrack?.codec) {
+    audioSource = new EncodedAudioPacketSource(audioTrack.codec);
+    output.addAudioTrack(audioSource);
+  }
+
+  await output.start();
+
+  // Timestamps are shifted so the trimmed video starts at 0
+  const videoMeta = { decoderConfig: await videoTrack.getDecoderConfig() ?? undefined };
+  for await (const packet of videoSink.packets(keyPacket, endPacket ?? undefined)) {
+    await videoSource.add(packet.clone({ timestamp: packet.timestamp - offset }), videoMeta);
+  }
+  videoSource.close();
+
+  if (audioSource) {
+    // Audio packets are all key packets, the same range is copied
+    const audioSink = new EncodedPacketSink(audioTrack);
+    const audioStart = await audioSink.getPacket(offset) || await audioSink.getFirstPacket();
+    const audioEnd = Number.isFinite(end) ? await audioSink.getPacket(end, { metadataOnly: true }) : null;
+    const audioMeta = { decoderConfig: await audioTrack.getDecoderConfig() ?? undefined };
+    for await (const packet of audioSink.packets(audioStart, audioEnd ?? undefined)) {
+      const timestamp = packet.timestamp - offset;
+      if (timestamp < 0) continue;
+      await audioSource.add(packet.clone({ timestamp }), audioMeta);
+    }
+    audioSource.close();
+  }
+
+  await output.finalize();
+  return offset;
+}
+
+/**
+ * Trim a recorded video
+ * @param {Blob} blob - Video file (MP4 or WebM)
+ * @param {Object} options
+ * @param {number} options.start - In point in seconds
+ * @param {number} options.end - Out point in seconds (Infinity = end of the video)
+ * @param {boolean} [options.precise=false] - Re-encode to cut at the exact in point instead of the previous keyframe
+ * @param {Function} [options.onProgress] - Called with the progress (0-1) of a precise cut
+ * @returns {Promise<{blob: Blob, start: number}>} Trimmed video and its actual start in the original (seconds)
+ */
+export async function trimVideo(blob, { start, end, precise = false, onProgress = null }) {
+  const input = new Input({ source: new BlobSource(blob), formats: ALL_FORMATS });
+  const output = new Output({ format: createOutputFormat(blob.type), target: new BufferTarget() });
+
+  try {
+    let actualStart = start;
+    if (precise) {
+      const conversion = await Conversion.init({
+        input,
+        output,
+        trim: { start, end: Number.isFinite(end) ? end : await input.computeDuration() }
+      });
+      if (!conversion.isValid) {
+        throw new Error('This video can\'t be re-encoded in this browser, use the keyframe cut');
+      }
+      if (onProgress) conversion.onProgress = onProgress;
+      await conversion.execute();
+    } else {
+      actualStart = await copyPackets(input, output, start, end);
+    }
+
+    console.log(`[Trim] ${precise ? 'Precise' : 'Keyframe'} cut: ${actualStart.toFixed(2)}s - ${Number.isFinite(end) ? end.toFixed(2) + 's' : 'end'}`);
+    return {
+      blob: new Blob([output.target.buffer], { type: blob.type }),
+      start: actualStart
+    };
+  } finally {
+    input.dispose();
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * WebCodecs AV1 encoder using Mediabunny
+ *
+ * Same architecture and options as WebCodecsVP9Encoder (quality preset,
+ * latency mode, bitrate mode, keyframe interval, content hint), with the
+ * AV1 codec in a WebM container. AV1 gives noticeably smaller files than
+ * VP9 at the same quality (e.g. 4K terrain flyovers), at the cost of
+ * slower encoding where no hardware encoder is available.
+ *
+ * REQUIREMENTS:
+ * - Browser with WebCodecs AV1 encoding (check isCodecSupported('av1', ...))
+ */
+
+import { WebCodecsVP9Encoder } from './webcodecs-vp9-encoder.js';
+
+export class WebCodecsAV1Encoder extends WebCodecsVP9Encoder {
+  constructor() {
+    super();
+    this.codec = 'av1';
+    this.logTag = '[WebCodecs AV1]';
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * WebCodecs H.264 (AVC) encoder using Mediabunny
+ *
+ * MP4 counterpart of WebCodecsVP9Encoder: same unified API, native
+ * WebCodecs AVC encoding and Mediabunny's MP4 muxer. Replaces the
+ * mp4-h264 WASM encoder when the browser supports AVC encoding, so MP4
+ * export no longer needs to load code from a CDN (blocked by strict CSP).
+ *
+ * REQUIREMENTS:
+ * - Browser with WebCodecs AVC encoding (check isCodecSupported('avc', ...))
+ * - Even width and height (H.264 4:2:0 chroma subsampling)
+ */
+
+// @ts-ignore - mediabunny is an external module
+import { Mp4OutputFormat } from 'mediabunny';
+import { WebCodecsVP9Encoder } from './webcodecs-vp9-encoder.js';
+
+export class WebCodecsH264Encoder extends WebCodecsVP9Encoder {
+  constructor() {
+    super();
+    this.codec = 'avc';
+    this.logTag = '[WebCodecs H.264]';
+  }
+
+  /**
+     * MP4 container, moov box written first so the video can start playing
+     * before it is fully downloaded. When streaming, the moov box is written
+     * last instead ('in-memory' would keep the whole file in RAM).
+     * @param {Object} [options] - {streaming}
+     * @returns {Object} Mediabunny output format
+     */
+  createOutputFormat({ streaming = false } = {}) {
+    return new Mp4OutputFormat({ fastStart: streaming ? false : 'in-memory' });
+  }
+
+  /**
+     * H.264 uses the requested bitrate (same meaning as the WASM encoder's kbps)
+     * @param {string} _quality - Unused
+     * @param {number} bitrate - Bitrate in kbps
+     * @returns {number} Bitrate in bps
+     */
+  getBitrateConfig(_quality, bitrate) {
+    console.log(`${this.logTag} Bitrate: ${bitrate} kbps`);
+    return bitrate * 1000;
+  }
+}
@@ -15,15 +15,42 @@
  * - High quality output (better than webm-wasm realtime mode)
  * - Non-blocking (truly asynchronous)
  * - Direct canvas integration via VideoFrame
+ *
+ * Other WebCodecs codecs (e.g. H.264 in MP4) reuse this class by
+ * overriding the codec, container and bitrate hooks.
+ *
+ * STREAMING:
+ * - By default the file is built in memory (BufferTarget)
+ * - With the stream option, chunks are written to a WritableStream as
+ *   encoding goes (e.g. FileSystemWritableFileStream), so long renders are
+ *   limited by disk space instead of RAM
+ * - An output destroyed before it is finalized (cancelled or failed
+ *   recording) is cancelled, which closes the stream
+ *
+ * CHECKPOINTS:
+ * - onEncodedPacket exposes every encoded packet (e.g. to persist them)
+ * - resumePackets rebuilds the video track from previously stored packets;
+ *   new frames are then encoded by a second output (discarded) whose
+ *   packets are forwarded to the same track, the first one being a keyframe
  */
 
 // @ts-ignore - mediabunny is an external module
-import { Output, WebMOutputFormat, BufferTarget, CanvasSource, QUALITY_HIGH, QUALITY_VERY_HIGH } from 'mediabunny';
+import { Output, WebMOutputFormat, BufferTarget, StreamTarget, CanvasSource, EncodedVideoPacketSource, EncodedPacket, AudioBufferSource, canEncodeVideo, getFirstEncodableAudioCodec, QUALITY_HIGH, QUALITY_VERY_HIGH } from 'mediabunny';
 
 export class WebCodecsVP9Encoder {
   constructor() {
+    this.codec = 'vp9'; // Mediabunny codec identifier
+    this.logTag = '[WebCodecs VP9]';
     this.output = null;
     this.canvasSource = null;
+    this.audioSource = null; // Optional audio track (soundtrack / cues)
+    this.audioAdded = false;
+    this.isStreaming = false; // Writing to a WritableStream instead of memory
+    this.bytesWritten = 0; // File size written so far (in-memory MP4 is only written when finalized)
+    this.encodedBytes = 0; // Size of the encoded video packets so far (e.g. for size-limited segments)
+    this.packetSource = null; // Video track fed with packets (resumed recordings)
+    this.encodingOutput = null; // Output encoding the new frames of a resumed recording
+    this.packetQueue = Promise.resolve();
     this.canvas = null;
     this.ctx = null;
     this.frameCount = 0;
@@ -42,6 +69,58 @@ export class WebCodecsVP9Encoder {
                typeof VideoFrame !== 'undefined';
   }
 
+  /**
+     * Check if the browser can encode this codec with the given settings
+     * (VideoEncoder.isConfigSupported through Mediabunny)
+     * @param {string} codec - Mediabunny codec identifier ('vp9', 'avc', 'av1'...)
+     * @param {Object} config - Encoding settings
+     * @param {number} config.width - Video width in pixels
+     * @param {number} config.height - Video height in pixels
+     * @param {number} [config.bitrate] - Bitrate in kbps
+     * @returns {Promise<boolean>}
+     */
+  static async isCodecSupported(codec, { width, height, bitrate }) {
+    if (!WebCodecsVP9Encoder.isSupported()) return false;
+
+    try {
+      return await canEncodeVideo(codec, {
+        width,
+        height,
+        bitrate: bitrate ? bitrate * 1000 : QUALITY_HIGH
+      });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+     * Create the container format for the output file
+     * @param {Object} [_options] - {streaming}: written to a stream instead of memory
+     * @returns {Object} Mediabunny output format
+     */
+  createOutputFormat(_options) {
+    return new WebMOutputFormat();
+  }
+
+  /**
+     * Bitrate setting for the canvas source
+     * VP9 uses Mediabunny quality presets (bitrate adapted to resolution)
+     * @param {string} quality - Quality preset: 'medium', 'high', 'very-high'
+     * @param {number} _bitrate - Requested bitrate in kbps
+     * @returns {Object|number} Mediabunny quality constant or bitrate in bps
+     */
+  getBitrateConfig(quality, _bitrate) {
+    if (quality === 'very-high') {
+      console.log(`${this.logTag} Quality: VERY_HIGH`);
+      return QUALITY_VERY_HIGH;
+    } else if (quality === 'medium') {
+      console.log(`${this.logTag} Quality: MEDIUM (using HIGH)`);
+      return QUALITY_HIGH; // Use HIGH even for medium (good enough)
+    }
+    console.log(`${this.logTag} Quality: HIGH`);
+    return QUALITY_HIGH; // default
+  }
+
   /**
      * Create and initialize the encoder
      * @param {Object} options - Configuration object
@@ -54,6 +133,12 @@ export class WebCodecsVP9Encoder {
      * @param {string} options.bitrateMode - Bitrate mode: 'variable' or 'constant'
      * @param {number} options.keyFrameInterval - Frames between keyframes
      * @param {string} options.contentHint - Content hint: '', 'motion', 'detail', 'text'
+     * @param {Object} [options.audio] - Add an audio track: {sampleRate, numberOfChannels}
+     * @param {WritableStream} [options.stream] - Write the file to this stream instead of memory
+     *   (receives {type: 'write', data, position} chunks, like FileSystemWritableFileStream)
+     * @param {Function} [options.onEncodedPacket] - Called with (packet, meta) for each encoded video packet
+     * @param {Array<Object>} [options.resumePackets] - Stored packets to start from
+     *   ({data, type, timestamp, duration, decoderConfig?} in decode order, decoderConfig on the first one)
      * @returns {Promise<WebCodecsVP9Encoder>} This instance
      */
   async create(options) {
@@ -66,14 +151,18 @@ export class WebCodecsVP9Encoder {
       latencyMode = 'quality',
       bitrateMode = 'variable',
       keyFrameInterval = 120,
-      contentHint = ''
+      contentHint = '',
+      audio = null,
+      stream = null,
+      onEncodedPacket = null,
+      resumePackets = null
     } = options;
 
     if (!WebCodecsVP9Encoder.isSupported()) {
       throw new Error('WebCodecs API not supported in this browser.');
     }
 
-    console.log('[WebCodecs VP9] Initializing with:', {
+    console.log(`${this.logTag} Initializing with:`, {
       width,
       height,
       fps,
@@ -83,7 +172,8 @@ export class WebCodecsVP9Encoder {
       bitrateMode,
       keyFrameInterval,
       contentHint: contentHint || 'auto',
-      codec: 'VP9',
+      codec: this.codec,
+      output: stream ? 'stream' : 'memory',
       api: 'WebCodecs + Mediabunny'
     });
 
@@ -102,29 +192,25 @@ export class WebCodecsVP9Encoder {
       alpha: false
     });
 
-    // Create Mediabunny output with WebM format
+    // Output target: memory, or stream (written in large chunks, not per packet)
+    this.isStreaming = stream !== null;
+    this.bytesWritten = 0;
+    this.encodedBytes = 0;
+    const target = this.isStreaming ? new StreamTarget(stream, { chunked: true }) : new BufferTarget();
+    target.onwrite = (_start, end) => {
+      this.bytesWritten = Math.max(this.bytesWritten, end);
+    };
+
+    // Create Mediabunny output with the codec's container format
     this.output = new Output({
-      format: new WebMOutputFormat(),
-      target: new BufferTarget()
+      format: this.createOutputFormat({ streaming: this.isStreaming }),
+      target
     });
 
-    // Map quality preset to Mediabunny Quality constant
-    let qualityConstant;
-    if (quality === 'very-high') {
-      qualityConstant = QUALITY_VERY_HIGH;
-      console.log('[WebCodecs VP9] Quality: VERY_HIGH');
-    } else if (quality === 'medium') {
-      qualityConstant = QUALITY_HIGH; // Use HIGH even for medium (good enough)
-      console.log('[WebCodecs VP9] Quality: MEDIUM (using HIGH)');
-    } else {
-      qualityConstant = QUALITY_HIGH; // default
-      console.log('[WebCodecs VP9] Quality: HIGH');
-    }
-
     // Build CanvasSource config with all options
     const canvasConfig = {
-      codec: 'vp9',
-      bitrate: qualityConstant,
+      codec: this.codec,
+      bitrate: this.getBitrateConfig(quality, bitrate),
       latencyMode,
       bitrateMode,
       keyFrameInterval
@@ -135,19 +221,84 @@ export class WebCodecsVP9Encoder {
       canvasConfig.contentHint = contentHint;
     }
 
-    console.log('[WebCodecs VP9] Canvas config:', canvasConfig);
+    console.log(`${this.logTag} Canvas config:`, canvasConfig);
+
+    if (resumePackets?.length) {
+      // Resumed recording: the video track is fed with packets (stored ones first),
+      // new frames are encoded in a discarded output and their packets forwarded
+      this.packetSource = new EncodedVideoPacketSource(this.codec);
+      this.output.addVideoTrack(this.packetSource);
+
+      canvasConfig.onEncodedPacket = (packet, meta) => {
+        this.encodedBytes += packet.data.byteLength;
+        if (onEncodedPacket) onEncodedPacket(packet, meta);
+        this.packetQueue = this.packetQueue.then(() => this.packetSource.add(packet, meta));
+      };
+      this.canvasSource = new CanvasSource(this.canvas, canvasConfig);
+      this.encodingOutput = new Output({
+        format: this.createOutputFormat({ streaming: true }),
+        target: new StreamTarget(new WritableStream())
+      });
+      this.encodingOutput.addVideoTrack(this.canvasSource);
+    } else {
+      canvasConfig.onEncodedPacket = (packet, meta) => {
+        this.encodedBytes += packet.data.byteLength;
+        if (onEncodedPacket) onEncodedPacket(packet, meta);
+      };
+
+      // Create canvas source with all options
+      this.canvasSource = new CanvasSource(this.canvas, canvasConfig);
 
-    // Create canvas source with all options
-    this.canvasSource = new CanvasSource(this.canvas, canvasConfig);
+      // Add video track to output
+      this.output.addVideoTrack(this.canvasSource);
+    }
 
-    // Add video track to output
-    this.output.addVideoTrack(this.canvasSource);
+    // Add audio track (must be declared before start, samples are added with addAudio())
+    if (audio) {
+      const audioCodec = await getFirstEncodableAudioCodec(this.output.format.getSupportedAudioCodecs(), {
+        numberOfChannels: audio.numberOfChannels,
+        sampleRate: audio.sampleRate
+      });
+
+      if (audioCodec) {
+        console.log(`${this.logTag} Audio track: ${audioCodec} (${audio.numberOfChannels} channels @ ${audio.sampleRate} Hz)`);
+        if (this.isStreaming) {
+          // The muxer interleaves tracks: video is held until the audio (added at the end) arrives
+          console.warn(`${this.logTag} Audio is added after the last frame - encoded video stays in memory until then`);
+        }
+        this.audioSource = new AudioBufferSource({ codec: audioCodec, bitrate: QUALITY_HIGH });
+        this.output.addAudioTrack(this.audioSource);
+      } else {
+        console.warn(`${this.logTag} No encodable audio codec for this container - video will be silent`);
+      }
+    }
 
     // Start the output (required before adding frames)
     await this.output.start();
+
+    if (this.packetSource) {
+      try {
+        // Replay stored packets, new frames continue after the last one
+        console.log(`${this.logTag} Resuming from ${resumePackets.length} stored packets`);
+        for (const stored of resumePackets) {
+          const packet = new EncodedPacket(stored.data, stored.type, stored.timestamp, stored.duration);
+          await this.packetSource.add(packet, stored.decoderConfig ? { decoderConfig: stored.decoderConfig } : undefined);
+        }
+
+        const last = resumePackets[resumePackets.length - 1];
+        this.frameCount = resumePackets.length;
+        this.currentTimestamp = last.timestamp + last.duration;
+
+        await this.encodingOutput.start();
+      } catch (error) {
+        // The output is started (stream locked): cancel it, the caller never gets this encoder
+        await this.destroy();
+        throw error;
+      }
+    }
     this.isStarted = true;
 
-    console.log('[WebCodecs VP9] Initialization complete, ready to receive frames');
+    console.log(`${this.logTag} Initialization complete, ready to receive frames`);
     return this;
   }
 
@@ -171,12 +322,12 @@ export class WebCodecsVP9Encoder {
     this.frameCount++;
 
     if (this.frameCount % 30 === 0) {
-      console.log(`[WebCodecs VP9] Encoding frame ${this.frameCount}`);
+      console.log(`${this.logTag} Encoding frame ${this.frameCount}`);
     }
 
     // Debug first frame
     if (this.frameCount === 1) {
-      console.log(`[WebCodecs VP9] First frame - buffer size: ${rgbaBuffer.byteLength} bytes`);
+      console.log(`${this.logTag} First frame - buffer size: ${rgbaBuffer.byteLength} bytes`);
     }
 
     // Convert RGBA buffer to ImageData
@@ -199,47 +350,117 @@ export class WebCodecsVP9Encoder {
   }
 
   /**
-     * Finalize encoding and get the WebM file
-     * @returns {Promise<ArrayBuffer>} The complete WebM video data
+     * Encoded packets can be observed and replayed (onEncodedPacket, resumePackets)
+     * @returns {boolean}
+     */
+  get supportsCheckpoints() {
+    return true;
+  }
+
+  /**
+     * Check if the output has an audio track
+     * @returns {boolean}
+     */
+  get hasAudio() {
+    return this.audioSource !== null;
+  }
+
+  /**
+     * Add the audio of the whole video (single buffer starting at 0)
+     * @param {AudioBuffer} audioBuffer - Mixed audio
+     */
+  async addAudio(audioBuffer) {
+    if (!this.audioSource) {
+      throw new Error('No audio track - pass the audio option to create()');
+    }
+
+    if (this.audioAdded) {
+      throw new Error('Audio already added');
+    }
+
+    console.log(`${this.logTag} Adding audio (${audioBuffer.duration.toFixed(2)}s)`);
+    await this.audioSource.add(audioBuffer);
+    this.audioSource.close();
+    this.audioAdded = true;
+  }
+
+  /**
+     * Finalize encoding and get the video file
+     * @returns {Promise<ArrayBuffer|null>} The complete video data (WebM for VP9),
+     *   null when streaming (the stream is closed once everything is written)
      */
   async end() {
     if (this.isFinalized) {
       throw new Error('Encoder already finalized');
     }
 
-    console.log(`[WebCodecs VP9] Finalizing encoding (${this.frameCount} total frames, ${this.currentTimestamp.toFixed(2)}s duration)`);
+    console.log(`${this.logTag} Finalizing encoding (${this.frameCount} total frames, ${this.currentTimestamp.toFixed(2)}s duration)`);
     this.isFinalized = true;
 
     try {
+      // Audio track declared but never fed: close it so the muxer doesn't wait for it
+      if (this.audioSource && !this.audioAdded) {
+        this.audioSource.close();
+      }
+
+      // Resumed recording: flush the frame encoder and forward its last packets
+      if (this.encodingOutput) {
+        await this.encodingOutput.finalize();
+        await this.packetQueue;
+      }
+
       // Finalize the output and get the video buffer
       await this.output.finalize();
 
+      if (this.isStreaming) {
+        console.log(`${this.logTag} Successfully finalized streamed video: ${this.bytesWritten} bytes`);
+        return null;
+      }
+
       const videoBuffer = this.output.target.buffer;
 
       if (!videoBuffer) {
         throw new Error('No video buffer produced');
       }
 
-      console.log(`[WebCodecs VP9] Successfully finalized video: ${videoBuffer.byteLength} bytes`);
+      console.log(`${this.logTag} Successfully finalized video: ${videoBuffer.byteLength} bytes`);
 
       return videoBuffer;
     } catch (error) {
-      console.error('[WebCodecs VP9] Finalization error:', error);
-      throw new Error(`WebCodecs VP9 encoding failed: ${error.message || error}`);
+      console.error(`${this.logTag} Finalization error:`, error);
+      throw new Error(`WebCodecs ${this.codec.toUpperCase()} encoding failed: ${error.message || error}`);
     }
   }
 
   /**
-     * Cleanup resources
+     * Cleanup resources (cancels an output that was started but not finalized)
      */
-  destroy() {
-    console.log('[WebCodecs VP9] Destroying encoder');
+  async destroy() {
+    console.log(`${this.logTag} Destroying encoder`);
+
+    // Release the encoders and the stream of an unfinished output
+    for (const output of [this.output, this.encodingOutput]) {
+      if (output && output.state === 'started') {
+        try {
+          await output.cancel();
+        } catch (error) {
+          console.warn(`${this.logTag} Could not cancel output:`, error);
+        }
+      }
+    }
 
     if (this.canvasSource) {
       // Mediabunny handles cleanup internally
       this.canvasSource = null;
     }
 
+    this.audioSource = null;
+    this.audioAdded = false;
+    this.isStreaming = false;
+    this.packetSource = null;
+    this.encodingOutput = null;
+    this.packetQueue = Promise.resolve();
+
     if (this.output) {
       this.output = null;
     }
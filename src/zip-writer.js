@@ -0,0 +1,213 @@
+/**
+ * Minimal streaming ZIP writer (store only, no compression)
+ *
+ * Files are written one after another to a chunk sink as soon as they
+ * are added, so the archive never needs to be held in memory as a whole.
+ * Only the central directory (a few dozen bytes per file) is kept until
+ * finish().
+ *
+ * Store mode is used on purpose: the archived files (PNG/JPEG frames)
+ * are already compressed, deflating them again would only cost time.
+ *
+ * ZIP64 records are added automatically when the archive grows beyond
+ * 4 GB or 65535 files.
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+
+const VERSION_DEFAULT = 20; // 2.0 - stored files
+const VERSION_ZIP64 = 45; // 4.5 - ZIP64 extensions
+const FLAG_UTF8 = 0x0800; // File names are UTF-8
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of a buffer (ZIP polynomial)
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+export class ZipWriter {
+  /**
+     * @param {Function} write - Chunk sink: (chunk: Uint8Array) => void | Promise<void>
+     *   Chunks are fresh buffers, the sink may keep them.
+     */
+  constructor(write) {
+    this.write = write;
+    this.offset = 0; // Bytes written so far
+    this.entries = []; // Central directory records
+    this.isFinished = false;
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+     * Add a file to the archive
+     * @param {string} name - Path of the file in the archive
+     * @param {Uint8Array} data - File content
+     * @param {Date} [date=new Date()] - Modification date
+     */
+  async addFile(name, data, date = new Date()) {
+    if (this.isFinished) {
+      throw new Error('Cannot add files after finish()');
+    }
+
+    const nameBytes = this.encoder.encode(name);
+    const { time, date: dosDate } = toDosDateTime(date);
+    const crc = crc32(data);
+    const size = data.byteLength;
+
+    if (size >= MAX_UINT32) {
+      throw new Error(`File too large for ZIP archive: ${name}`);
+    }
+
+    // Local file header (sizes are known up front, no data descriptor needed)
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+    view.setUint16(4, VERSION_DEFAULT, true);
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, 0, true); // Method: stored
+    view.setUint16(10, time, true);
+    view.setUint16(12, dosDate, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, size, true); // Compressed size
+    view.setUint32(22, size, true); // Uncompressed size
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true); // Extra field length
+    header.set(nameBytes, 30);
+
+    this.entries.push({ nameBytes, time, date: dosDate, crc, size, offset: this.offset });
+
+    await this.write(header);
+    await this.write(data);
+    this.offset += header.byteLength + size;
+  }
+
+  /**
+     * Write the central directory and end records
+     * No file can be added afterwards.
+     */
+  async finish() {
+    if (this.isFinished) {
+      throw new Error('ZIP archive already finished');
+    }
+    this.isFinished = true;
+
+    const centralDirectoryOffset = this.offset;
+
+    // Central directory (one record per file)
+    for (const entry of this.entries) {
+      const needsZip64 = entry.offset >= MAX_UINT32;
+      const extraLength = needsZip64 ? 12 : 0;
+      const record = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+      view.setUint16(4, needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT, true); // Version made by
+      view.setUint16(6, needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT, true); // Version needed
+      view.setUint16(8, FLAG_UTF8, true);
+      view.setUint16(10, 0, true); // Method: stored
+      view.setUint16(12, entry.time, true);
+      view.setUint16(14, entry.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      view.setUint16(30, extraLength, true);
+      // Comment length, disk number, internal and external attributes stay 0
+      view.setUint32(42, needsZip64 ? MAX_UINT32 : entry.offset, true);
+      record.set(entry.nameBytes, 46);
+
+      if (needsZip64) {
+        // ZIP64 extended information: local header offset only
+        const extraStart = 46 + entry.nameBytes.length;
+        view.setUint16(extraStart, 0x0001, true);
+        view.setUint16(extraStart + 2, 8, true);
+        view.setBigUint64(extraStart + 4, BigInt(entry.offset), true);
+      }
+
+      await this.write(record);
+      this.offset += record.byteLength;
+    }
+
+    const centralDirectorySize = this.offset - centralDirectoryOffset;
+    const entryCount = this.entries.length;
+    const needsZip64 = entryCount >= MAX_UINT16 ||
+      centralDirectoryOffset >= MAX_UINT32 ||
+      centralDirectorySize >= MAX_UINT32;
+
+    if (needsZip64) {
+      // ZIP64 end of central directory record + locator
+      const zip64EndOffset = this.offset;
+      const zip64End = new Uint8Array(56 + 20);
+      const view = new DataView(zip64End.buffer);
+      view.setUint32(0, ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+      view.setBigUint64(4, BigInt(56 - 12), true); // Size of the remaining record
+      view.setUint16(12, VERSION_ZIP64, true);
+      view.setUint16(14, VERSION_ZIP64, true);
+      // Disk numbers stay 0
+      view.setBigUint64(24, BigInt(entryCount), true);
+      view.setBigUint64(32, BigInt(entryCount), true);
+      view.setBigUint64(40, BigInt(centralDirectorySize), true);
+      view.setBigUint64(48, BigInt(centralDirectoryOffset), true);
+
+      view.setUint32(56, ZIP64_LOCATOR_SIGNATURE, true);
+      view.setUint32(60, 0, true); // Disk with the ZIP64 end record
+      view.setBigUint64(64, BigInt(zip64EndOffset), true);
+      view.setUint32(72, 1, true); // Total number of disks
+
+      await this.write(zip64End);
+      this.offset += zip64End.byteLength;
+    }
+
+    // End of central directory record (fields saturated when ZIP64 is used)
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(8, Math.min(entryCount, MAX_UINT16), true);
+    view.setUint16(10, Math.min(entryCount, MAX_UINT16), true);
+    view.setUint32(12, Math.min(centralDirectorySize, MAX_UINT32), true);
+    view.setUint32(16, Math.min(centralDirectoryOffset, MAX_UINT32), true);
+
+    await this.write(end);
+    this.offset += end.byteLength;
+
+    // Central directory no longer needed
+    this.entries = [];
+  }
+}